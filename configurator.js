@@ -2,354 +2,2039 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { DecalGeometry } from 'three/addons/geometries/DecalGeometry.js';
+import { RGBELoader } from 'three/addons/loaders/RGBELoader.js';
+import { EXRLoader } from 'three/addons/loaders/EXRLoader.js';
+import { GLTFExporter } from 'three/addons/exporters/GLTFExporter.js';
+import { USDZExporter } from 'three/addons/exporters/USDZExporter.js';
+import { RoomEnvironment } from 'three/addons/environments/RoomEnvironment.js';
+import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
+import { createFire } from './fire.js';
+import { createDimensions } from './dimensions.js';
 
-let scene, camera, renderer, controls;
-let currentModel = null;
-let frontPanelMesh = null;
-let decalMesh = null;
-let currentMode = 'printed';
-let currentFinish = 'powder';
+// Material options for the configurable parts. parts = manifest parts the option is applied to
+// (the side tables are made of the same wood as the top ring). textures = local PBR set
+// (textures/wood/); color is the tint used until (or if) the textures load, over the GLB's own maps.
+export const PART_MATERIALS = {
+    'wood': {
+        name: 'Top Ring Wood',
+        parts: ['topRing', 'sideTables'],
+        defaultOption: 'thermo-ash',
+        options: {
+            'teak': {
+                name: 'Teak', color: '#a0673a', roughness: 0.65, metalness: 0.0,
+                textures: { map: './textures/wood/teak/color.jpg', normalMap: './textures/wood/teak/normal.jpg', roughnessMap: './textures/wood/teak/roughness.jpg' }
+            },
+            'thermo-ash': {
+                name: 'Thermo-Ash', color: '#6b4a32', roughness: 0.7, metalness: 0.0,
+                textures: { map: './textures/wood/thermo-ash/color.jpg', normalMap: './textures/wood/thermo-ash/normal.jpg', roughnessMap: './textures/wood/thermo-ash/roughness.jpg' }
+            },
+            'oak': {
+                name: 'Oak', color: '#b48a5a', roughness: 0.7, metalness: 0.0,
+                textures: { map: './textures/wood/oak/color.jpg', normalMap: './textures/wood/oak/normal.jpg', roughnessMap: './textures/wood/oak/roughness.jpg' }
+            }
+        }
+    },
+    'grill': {
+        name: 'Grill Plate',
+        parts: ['grillPlate'],
+        defaultOption: 'raw-steel',
+        options: {
+            'raw-steel': { name: 'Raw Steel', color: '#6e6a66', roughness: 0.5, metalness: 0.9 },
+            'seasoned-black': { name: 'Seasoned Black', color: '#141414', roughness: 0.35, metalness: 0.6 }
+        }
+    }
+};
+
+// Named viewpoints, framed from the loaded model's bounds (see getViewFrame()).
+// direction = from the target towards the camera; the panel view looks straight at the selected face.
+export const CAMERA_VIEWS = {
+    'hero': { name: 'Hero', direction: [0.45, 0.35, 1] },
+    'panel': { name: 'Panel', direction: null },
+    'grill': { name: 'Grill', direction: [0, 1, 0.25] },
+    'side-table': { name: 'Side Table', direction: [1, 0.8, 0.6] }
+};
+const CAMERA_TWEEN_DURATION = 900; // ms
+
+// Turntable showcase: slow auto-rotation after a while without input.
+// idleDelay in ms, speed in degrees per second, direction as seen from above,
+// easeTime = ms to ramp up to full speed.
+const TURNTABLE_DEFAULTS = { enabled: true, idleDelay: 8000, speed: 12, direction: 'counterclockwise', easeTime: 2000 };
+
+// Scene lighting presets (intensities for the ambient, key and fill lights).
+// At night the environment map is dimmed and the flat background is always used.
+const LIGHTING_PRESETS = {
+    'day': {
+        background: '#1a1d20', exposure: 1.0, environmentIntensity: 1.0,
+        ambient: { color: 0xffffff, intensity: 0.5 },
+        key: { color: 0xffffff, intensity: 1.5 },
+        fill: { color: 0xffffff, intensity: 0.5 }
+    },
+    'night': {
+        background: '#07080a', exposure: 1.2, environmentIntensity: 0.05,
+        ambient: { color: 0x8090b0, intensity: 0.06 },
+        key: { color: 0x9fb4ff, intensity: 0.15 }, // Moonlight
+        fill: { color: 0x4060a0, intensity: 0.05 }
+    }
+};
 
-const FINISH_PRESETS = {
+// Real-world dimensions of each size, in mm (from the spec sheet).
+// Height varies with the adjustable feet: minHeight - height. span = width with side tables.
+export const PRODUCT_SIZES = {
+    's-740': { name: 'S-740', width: 975, height: 770, minHeight: 740, span: 1400 },
+    'xl-1000': { name: 'XL-1000', width: 1265, height: 930, minHeight: 900, span: 1700 }
+};
+
+// Image-based lighting, PMREM-processed for reflections: a local equirectangular HDR / EXR file
+// (file), or without one three's procedural studio room.
+// background = 'color' keeps the flat scene colour, 'environment' shows the panorama (blurred).
+// lightScale scales the analytic lights, the environment already provides part of the light.
+// Outdoor presets (patio, garden) need captured panoramas: add them here with their file once
+// they're in environments/ (and copied by vite.config.mjs).
+export const ENVIRONMENT_PRESETS = {
+    'studio': {
+        name: 'Studio',
+        exposure: 1.0, intensity: 1.0, lightScale: 0.6, background: 'color', blurriness: 0
+    }
+};
+export const DEFAULT_ENVIRONMENT = 'studio';
+
+// Shadow quality tiers: map sizes for the key light and the fire light (0 = no shadow).
+// The fire light's shadow is what keeps its glow inside the bowl, so 'low' keeps a small one
+// and drops the key light's instead; with 'off' the fire light is switched off altogether.
+export const SHADOW_QUALITY = {
+    'off': { name: 'Off', key: 0, fire: 0 },
+    'low': { name: 'Low', key: 0, fire: 256 },
+    'medium': { name: 'Medium', key: 1024, fire: 512 },
+    'high': { name: 'High', key: 2048, fire: 1024 }
+};
+
+// Oldest state of the outdoor ageing slider, in years
+export const MAX_WEATHERING_AGE = 3;
+
+// engraved.depth = default engraving depth in mm (adjustable per finish, see setEngravingDepth)
+// weathering = outdoor ageing of the bare steel finishes: patina = colour of the oxide layer,
+// streaks = rust run-off below the top edge and openings, rate = how quickly the patina covers
+// the panel, roughness/metalness = fully weathered values.
+export const FINISH_PRESETS = {
     'powder': {
         name: 'Powder-Coated Steel',
         base: { roughness: 0.55, metalness: 0.85, normalScale: 1.0 },
-        engraved: { roughness: 0.68, metalness: 0.78, normalScale: 1.12, colorMult: 1.0 }
+        engraved: { roughness: 0.68, metalness: 0.78, normalScale: 1.12, colorMult: 1.0, depth: 0.8 }
     },
     'raw': {
         name: 'Raw / Weathered Steel',
         base: { roughness: 0.65, metalness: 0.80, normalScale: 1.0 },
-        engraved: { roughness: 0.78, metalness: 0.70, normalScale: 1.15, colorMult: 0.9 } // Darker
+        engraved: { roughness: 0.78, metalness: 0.70, normalScale: 1.15, colorMult: 0.9, depth: 1.0 }, // Darker
+        // Unprotected mild steel: patchy flash rust that keeps running off
+        weathering: { patina: '#6e3a1c', streaks: '#4f2811', rate: 0.6, roughness: 0.85, metalness: 0.45 }
     },
     'corten': {
         name: 'Corten / Rusted Steel',
         base: { roughness: 0.75, metalness: 0.65, normalScale: 1.0 },
-        engraved: { roughness: 0.88, metalness: 0.55, normalScale: 1.18, colorMult: 1.0 }
+        engraved: { roughness: 0.88, metalness: 0.55, normalScale: 1.18, colorMult: 1.0, depth: 1.2 },
+        // Corten closes to an even, deep brown patina within the first year or two
+        weathering: { patina: '#8a4520', streaks: '#5c2a10', rate: 1.4, roughness: 0.95, metalness: 0.3 }
     },
     'brushed': {
         name: 'Brushed Stainless Steel',
         base: { roughness: 0.35, metalness: 0.95, normalScale: 1.0 },
-        engraved: { roughness: 0.48, metalness: 0.88, normalScale: 1.10, colorMult: 1.0 }
+        engraved: { roughness: 0.48, metalness: 0.88, normalScale: 1.10, colorMult: 1.0, depth: 0.6 }
     },
     'painted': {
         name: 'Painted / Matte Metal',
         base: { roughness: 0.70, metalness: 0.60, normalScale: 1.0 },
-        engraved: { roughness: 0.82, metalness: 0.52, normalScale: 1.10, colorMult: 1.0 }
+        engraved: { roughness: 0.82, metalness: 0.52, normalScale: 1.10, colorMult: 1.0, depth: 0.8 }
     }
 };
 
-// Shared material for the decal
+// The eight faces of the octagonal body.
+// angle = azimuth (degrees) of the face's outward normal, measured from +Z towards +X.
+export const PANEL_FACES = [
+    { id: 'front', name: 'Front', angle: 0 },
+    { id: 'front-right', name: 'Front Right', angle: 45 },
+    { id: 'right', name: 'Right', angle: 90 },
+    { id: 'back-right', name: 'Back Right', angle: 135 },
+    { id: 'back', name: 'Back', angle: 180 },
+    { id: 'back-left', name: 'Back Left', angle: 225 },
+    { id: 'left', name: 'Left', angle: 270 },
+    { id: 'front-left', name: 'Front Left', angle: 315 }
+];
+export const DEFAULT_FACE = 'front';
+
+// Decal placement within a face. u / width are fractions of the face width, v / height of the panel height:
+// u = along the face (to the right, seen from outside), v = up from the panel centre,
+// width / height = decal size, rotation = tilt in degrees (counter-clockwise, seen from outside).
+// The decal never gets wider than its face (see #clampPlacement()). The default keeps the
+// proportions the artwork canvas was tuned for.
+export const DEFAULT_PLACEMENT = { u: 0, v: 0.25, width: 0.85, height: 0.5, rotation: 0 };
+
+// Width of one face of the regular octagon, as a share of the body width across the flats
+const FACE_WIDTH = Math.tan(Math.PI / 8);
+
+// Manufacturable area used until a model manifest is loaded (see models/<model>.json,
+// parts.frontFaces.customizableArea): ranges the decal placement is clamped to
+// (same units as the placement; u / v limit the decal centre)
+const DEFAULT_MANUFACTURABLE_AREA = {
+    u: [-0.35, 0.35], v: [-0.05, 0.3],
+    width: [0.2, 1], height: [0.1, 0.9], rotation: [-30, 30]
+};
+
+// Each face gets its own decal material (it carries that face's texture)
 // We use MeshStandardMaterial to respond to light
-const decalMaterial = new THREE.MeshStandardMaterial({
-    transparent: true,
-    depthTest: true,
-    depthWrite: false,
-    polygonOffset: true,
-    polygonOffsetFactor: -4, // Ensure it sits on top of the panel
-    side: THREE.FrontSide,
-    color: 0xffffff
-});
-
-export async function init(containerId) {
-    const container = document.getElementById(containerId);
-
-    // Scene
-    scene = new THREE.Scene();
-    scene.background = new THREE.Color('#1a1d20');
-
-    // Camera
-    camera = new THREE.PerspectiveCamera(45, container.clientWidth / container.clientHeight, 0.1, 100);
-    camera.position.set(1.5, 1.0, 3.0); // Closer view as requested
-
-    // Renderer
-    renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
-    renderer.setSize(container.clientWidth, container.clientHeight);
-    renderer.useLegacyLights = false;
-    renderer.toneMapping = THREE.ACESFilmicToneMapping;
-    renderer.toneMappingExposure = 1.0;
-    container.appendChild(renderer.domElement);
-
-    // Controls
-    controls = new OrbitControls(camera, renderer.domElement);
-    controls.enableDamping = true;
-    controls.dampingFactor = 0.05;
-    controls.minDistance = 2;
-    controls.maxDistance = 10;
-    controls.target.set(0, 0.5, 0);
-
-    // Lighting
-    const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
-    scene.add(ambientLight);
-
-    const dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
-    dirLight.position.set(5, 5, 5);
-    dirLight.castShadow = true;
-    scene.add(dirLight);
-
-    const fillLight = new THREE.DirectionalLight(0xffffff, 0.5);
-    fillLight.position.set(-5, 2, -5);
-    scene.add(fillLight);
-
-    // Animation Loop
-    animate();
+function createDecalMaterial() {
+    return new THREE.MeshStandardMaterial({
+        transparent: true,
+        depthTest: true,
+        depthWrite: false,
+        polygonOffset: true,
+        polygonOffsetFactor: -4, // Ensure it sits on top of the panel
+        side: THREE.FrontSide,
+        color: 0xffffff
+    });
 }
 
-function animate() {
-    requestAnimationFrame(animate);
-    controls.update();
-    renderer.render(scene, camera);
+// Cut-through mode: the panel shader discards fragments inside each decal's projector box
+// wherever the artwork mask is set (alpha-tested cutouts, one slot per octagon face).
+const MAX_CUTOUTS = PANEL_FACES.length;
+const emptyCutoutMap = new THREE.DataTexture(new Uint8Array(4), 1, 1);
+emptyCutoutMap.needsUpdate = true;
+
+// Each viewer has its own set, shared by its panel and the panel's shadow materials
+function createCutoutUniforms() {
+    return {
+        cutoutCount: { value: 0 },
+        cutoutMatrices: { value: Array.from({ length: MAX_CUTOUTS }, () => new THREE.Matrix4()) },
+        cutoutMaps: { value: Array.from({ length: MAX_CUTOUTS }, () => emptyCutoutMap) }
+    };
 }
 
-export function resize() {
-    if (!camera || !renderer) return;
-    const container = renderer.domElement.parentElement;
-    camera.aspect = container.clientWidth / container.clientHeight;
-    camera.updateProjectionMatrix();
-    renderer.setSize(container.clientWidth, container.clientHeight);
+function installCutoutShader(material, cutoutUniforms) {
+    if (material.userData.hasCutouts) return;
+    material.userData.hasCutouts = true;
+
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, cutoutUniforms);
+
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', '#include <common>\nvarying vec3 vCutoutWorldPosition;')
+            .replace('#include <project_vertex>', '#include <project_vertex>\nvCutoutWorldPosition = ( modelMatrix * vec4( transformed, 1.0 ) ).xyz;');
+
+        shader.fragmentShader = shader.fragmentShader
+            .replace('#include <common>', `#include <common>
+varying vec3 vCutoutWorldPosition;
+uniform int cutoutCount;
+uniform mat4 cutoutMatrices[ ${MAX_CUTOUTS} ];
+uniform sampler2D cutoutMaps[ ${MAX_CUTOUTS} ];`)
+            .replace('#include <clipping_planes_fragment>', `#include <clipping_planes_fragment>
+#pragma unroll_loop_start
+for ( int i = 0; i < ${MAX_CUTOUTS}; i ++ ) {
+    if ( UNROLLED_LOOP_INDEX < cutoutCount ) {
+        vec3 cutoutLocal = ( cutoutMatrices[ i ] * vec4( vCutoutWorldPosition, 1.0 ) ).xyz;
+        if ( all( lessThan( abs( cutoutLocal ), vec3( 0.5 ) ) ) ) {
+            vec4 cutoutTexel = texture2D( cutoutMaps[ i ], cutoutLocal.xy + 0.5 );
+            if ( cutoutTexel.a > 0.5 ) discard; // Wherever there's artwork, whatever its colour
+        }
+    }
 }
+#pragma unroll_loop_end`);
+    };
+    material.customProgramCacheKey = () => 'craterflame-cutouts';
+    material.needsUpdate = true;
+}
+
+// Shadow materials for the panel that discard the same cutouts,
+// so cut-through lettering shows up in the light pattern on the ground
+function installCutoutShadowMaterials(mesh, cutoutUniforms) {
+    if (mesh.customDepthMaterial) return;
+    const { map, alphaMap, alphaTest } = mesh.material;
+
+    mesh.customDepthMaterial = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking, map, alphaMap, alphaTest });
+    mesh.customDistanceMaterial = new THREE.MeshDistanceMaterial({ map, alphaMap, alphaTest });
+    installCutoutShader(mesh.customDepthMaterial, cutoutUniforms);
+    installCutoutShader(mesh.customDistanceMaterial, cutoutUniforms);
+}
+
+// Count the "islands" a cut-through of this artwork would leave: regions of panel
+// enclosed by cut areas (like the inside of an "O") that would fall out.
+export function findCutThroughIslands(sourceCanvas) {
+    const size = 256; // Analyse a downscaled copy, plenty for letter shapes
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(sourceCanvas, 0, 0, size, size);
+    const data = ctx.getImageData(0, 0, size, size).data;
 
-export function resetCamera() {
-    if (controls) {
-        controls.reset();
-        camera.position.set(1.5, 1.0, 3.0);
+    // Same mask the cutout shader uses
+    const cut = new Uint8Array(size * size);
+    for (let i = 0; i < cut.length; i++) {
+        cut[i] = data[i * 4 + 3] / 255 > 0.5 ? 1 : 0;
     }
+
+    // Label connected regions of remaining panel; those not touching the border are islands
+    const visited = new Uint8Array(size * size);
+    let islands = 0;
+    for (let start = 0; start < cut.length; start++) {
+        if (cut[start] || visited[start]) continue;
+
+        let touchesBorder = false;
+        const stack = [start];
+        visited[start] = 1;
+        while (stack.length) {
+            const i = stack.pop();
+            const x = i % size;
+            const y = (i - x) / size;
+            if (x === 0 || y === 0 || x === size - 1 || y === size - 1) touchesBorder = true;
+
+            [[x - 1, y], [x + 1, y], [x, y - 1], [x, y + 1]].forEach(([nx, ny]) => {
+                if (nx < 0 || ny < 0 || nx >= size || ny >= size) return;
+                const n = ny * size + nx;
+                if (!cut[n] && !visited[n]) {
+                    visited[n] = 1;
+                    stack.push(n);
+                }
+            });
+        }
+        if (!touchesBorder) islands++;
+    }
+    return islands;
 }
 
-export function loadModel(modelKey) {
-    if (currentModel) {
-        scene.remove(currentModel);
-        // Clean up
-        currentModel.traverse(child => {
-            if (child.isMesh) {
-                child.geometry.dispose();
-                if (child.material) {
-                    if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
-                    else child.material.dispose();
+// Load state -> event fired by the viewer (see Configurator)
+const LOAD_STATE_EVENTS = { loading: 'modelloading', ready: 'modelloaded', error: 'modelerror' };
+
+// One 3D viewer, mounted into a container element. Several can live on the same page
+// (e.g. the configurator and a quote preview); dispose() tears one down completely.
+// scene, camera, renderer and controls are public for embedding, everything else is internal.
+//
+// Events (CustomEvent, payload in event.detail), for main.js and host pages:
+//   modelloading   { modelKey, progress }                 progress 0..1, null if unknown
+//   modelloaded    { modelKey, sizeKey, missingParts }    missingParts = optional parts not in the GLB
+//   modelerror     { modelKey, error, missingParts? }     missingParts when the GLB doesn't match the manifest
+//   decalplaced    { faceId, placement, fallback }        new decal or new placement, also while dragging
+//   decalmoved     { faceId, placement }                  the user dropped a dragged decal
+//   decalfallback  { faceId, placement }                  raycast missed the panel, the decal position is estimated
+//   finishchanged  { finish, powderColor, weatheringAge }
+//   modechanged    { mode, previousMode }
+//
+//   viewer.addEventListener('modelloaded', (e) => console.log(e.detail.modelKey));
+export class Configurator extends EventTarget {
+    #container;
+    #listeners = new AbortController(); // Aborting removes every DOM listener added below
+    #frameId = null;
+    #disposed = false;
+    #lights = null;
+    #fire = null;
+    #ground = null;
+    #dimensions = null;
+    #shadowQuality = 'medium';
+    #pmremGenerator = null;
+    #currentLighting = 'day';
+    #currentEnvironment = null;
+    // Loaded environments: presetId -> { background (equirect texture or null), environment (PMREM texture) }
+    #environmentCache = new Map();
+    #clock = new THREE.Clock();
+    #currentModel = null;
+    #currentModelKey = null;
+    #currentSizeKey = 's-740';
+    #loadState = 'idle';
+    #loadRequestId = 0;
+    // Running camera transition: { fromPosition, fromTarget, toPosition, toTarget, start }
+    #cameraTween = null;
+    // True while the camera shows the automatic framing, which then follows resizes
+    #cameraAutoFramed = false;
+    #turntable = { ...TURNTABLE_DEFAULTS };
+    #lastInteraction = performance.now();
+    #turntableRamp = 0; // 0 = standing still, 1 = full speed
+    #lastFrameTime = performance.now();
+    // Render on demand: a frame is only drawn when something asked for it (see invalidate())
+    #needsRender = true;
+    #framesRendered = 0;
+    #hasFramedModel = false; // The first model jumps into view, later ones animate
+    #frontPanelMesh = null;
+    // Part manifest of the loaded model and its resolved meshes: partId -> Mesh[]
+    #currentManifest = null;
+    #modelParts = {};
+    #sideTablesVisible = false;
+    // Chosen option per PART_MATERIALS group
+    #partMaterialChoices = Object.fromEntries(Object.entries(PART_MATERIALS).map(([id, group]) => [id, group.defaultOption]));
+    // Loaded PBR texture sets, path -> Promise<Texture>
+    #textureCache = new Map();
+    // Maps the GLB shipped on the configurable parts: Material -> { map, normalMap, roughnessMap }.
+    // Not in material.userData, the GLB export would write the textures into it a second time.
+    #glbMaps = new WeakMap();
+    // One decal per customized octagon face: faceId -> { mesh, texture, normalMap, reliefStale, placement, panel }.
+    // texture wraps the caller's canvas and is re-uploaded in place on every edit.
+    #decals = new Map();
+    #currentMode = 'printed';
+    #currentFinish = 'powder';
+    // Weathering age in years (0 = new), see FINISH_PRESETS[].weathering
+    #weatheringAge = 0;
+    // Panel texture the weathering layers are blended into
+    #weatheringTexture = null;
+    // Whatever map the GLB shipped on the panel, restored when the panel is new again
+    #panelBaseMap = null;
+    // Powder-coat colour (hex) picked by the user, null = the manifest's body colour
+    #powderColor = null;
+    // Engraving depth (mm) chosen by the user, per finish
+    #engravingDepths = {};
+    // Cut-through uniforms of this viewer's panel shader (see installCutoutShader())
+    #cutoutUniforms = createCutoutUniforms();
+
+    constructor(container) {
+        super();
+        this.#container = container;
+
+        // Scene
+        this.scene = new THREE.Scene();
+        this.scene.background = new THREE.Color('#1a1d20');
+
+        // Camera
+        this.camera = new THREE.PerspectiveCamera(45, container.clientWidth / container.clientHeight, 0.1, 100);
+        this.camera.position.set(1.5, 1.0, 3.0); // Closer view as requested
+
+        // Renderer
+        const renderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        renderer.setSize(container.clientWidth, container.clientHeight);
+        renderer.useLegacyLights = false;
+        renderer.toneMapping = THREE.ACESFilmicToneMapping;
+        renderer.toneMappingExposure = 1.0;
+        renderer.shadowMap.enabled = true;
+        renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+        container.appendChild(renderer.domElement);
+        this.renderer = renderer;
+
+        // Controls
+        const controls = new OrbitControls(this.camera, renderer.domElement);
+        controls.enableDamping = true;
+        controls.dampingFactor = 0.05;
+        // Distance limits are set per model, see #updateCameraLimits()
+        controls.minDistance = 0.6;
+        controls.maxDistance = 10;
+        controls.target.set(0, 0.5, 0);
+        controls.zoomToCursor = true;
+        // Grabbing the view stops a running transition and leaves the automatic framing
+        controls.addEventListener('change', () => this.invalidate()); // Also fires while damping settles
+        controls.addEventListener('start', () => {
+            this.#cameraTween = null;
+            this.#cameraAutoFramed = false;
+        });
+        this.controls = controls;
+
+        // Lighting
+        const ambientLight = new THREE.AmbientLight(0xffffff, 0.5);
+        this.scene.add(ambientLight);
+
+        const dirLight = new THREE.DirectionalLight(0xffffff, 1.5);
+        dirLight.position.set(5, 5, 5);
+        dirLight.castShadow = true;
+        dirLight.shadow.bias = -0.0005;
+        dirLight.shadow.camera.left = -2;
+        dirLight.shadow.camera.right = 2;
+        dirLight.shadow.camera.top = 2;
+        dirLight.shadow.camera.bottom = -2;
+        this.scene.add(dirLight);
+
+        const fillLight = new THREE.DirectionalLight(0xffffff, 0.5);
+        fillLight.position.set(-5, 2, -5);
+        this.scene.add(fillLight);
+
+        this.#lights = { ambient: ambientLight, key: dirLight, fill: fillLight };
+
+        // Image-based lighting
+        this.#pmremGenerator = new THREE.PMREMGenerator(renderer);
+        this.setEnvironment(DEFAULT_ENVIRONMENT);
+
+        // Fire preview (hidden until lit)
+        this.#fire = createFire();
+        this.scene.add(this.#fire.group);
+
+        // Ground (patio) to receive the shadows and the light pattern of the fire
+        this.#ground = new THREE.Mesh(
+            new THREE.PlaneGeometry(20, 20),
+            new THREE.MeshStandardMaterial({ color: '#202326', roughness: 0.9, metalness: 0.0 })
+        );
+        this.#ground.rotation.x = -Math.PI / 2;
+        this.#ground.receiveShadow = true;
+        this.scene.add(this.#ground);
+
+        // Measurement overlay (hidden until toggled)
+        this.#dimensions = createDimensions(container);
+        this.scene.add(this.#dimensions.group);
+
+        // Lower-end laptops and phones start with only a small fire light shadow
+        this.setShadowQuality((navigator.hardwareConcurrency || 4) <= 4 ? 'low' : 'medium');
+
+        // Decal dragging
+        this.#setupDecalDragging();
+        this.#setupDoubleClickFocus();
+        this.#setupTurntable();
+
+        // Animation Loop
+        this.#animate();
+    }
+
+    // Free everything this viewer holds: the loop, DOM listeners, model, decals, textures,
+    // environment maps and the WebGL context. The instance can't be used afterwards.
+    dispose() {
+        if (this.#disposed) return;
+        this.#disposed = true;
+
+        cancelAnimationFrame(this.#frameId);
+        this.#listeners.abort();
+        this.controls.dispose();
+        this.#loadRequestId++; // Discard loads still in flight
+
+        this.#removeDecals();
+        if (this.#currentModel) disposeObject(this.#currentModel);
+        this.#currentModel = null;
+        this.#frontPanelMesh = null;
+        this.#modelParts = {};
+
+        this.#fire.dispose();
+        this.#dimensions.dispose();
+        this.#ground.geometry.dispose();
+        this.#ground.material.dispose();
+        this.#lights.key.shadow.dispose();
+
+        this.#environmentCache.forEach(({ background, environment }) => {
+            if (background) background.dispose();
+            environment.dispose();
+        });
+        this.#environmentCache.clear();
+        this.#pmremGenerator.dispose();
+        if (this.#weatheringTexture) this.#weatheringTexture.dispose();
+        this.#textureCache.forEach(promise => promise.then(texture => texture.dispose(), () => {}));
+        this.#textureCache.clear();
+
+        this.scene.clear();
+        this.renderer.dispose();
+        this.renderer.forceContextLoss(); // Browsers only allow a handful of live contexts
+        this.renderer.domElement.remove();
+    }
+
+    #animate() {
+        this.#frameId = requestAnimationFrame(() => this.#animate());
+        // Seconds since the last frame; capped so a frame after a long pause doesn't jump
+        const now = performance.now();
+        const delta = Math.min(0.1, (now - this.#lastFrameTime) / 1000);
+        this.#lastFrameTime = now;
+
+        this.#updateCameraTween();
+        this.#updateTurntable(delta);
+        this.#keepCameraAboveGround();
+        this.controls.update(delta);
+
+        // The fire is the only thing that moves on its own
+        if (this.#fire.group.visible) {
+            this.#fire.update(this.#clock.getElapsedTime());
+            this.#needsRender = true;
+        }
+        if (!this.#needsRender) return;
+        this.#needsRender = false;
+
+        this.renderer.render(this.scene, this.camera);
+        this.#dimensions.render(this.camera);
+        this.#framesRendered++;
+    }
+
+    // Ask for a new frame. Everything in here that changes the scene calls it; anything
+    // outside that modifies the scene directly has to call it too.
+    invalidate() {
+        this.#needsRender = true;
+    }
+
+    // Debug numbers for the render-on-demand loop and the GPU memory use
+    getRenderStats() {
+        // memory.textures / .geometries = what is currently on the GPU
+        return { framesRendered: this.#framesRendered, memory: { ...this.renderer.info.memory } };
+    }
+
+    setLightingPreset(presetId) {
+        if (!LIGHTING_PRESETS[presetId]) return;
+        this.#currentLighting = presetId;
+        this.#applyLighting();
+    }
+
+    // Load (once) and apply one of the ENVIRONMENT_PRESETS
+    setEnvironment(presetId) {
+        const preset = ENVIRONMENT_PRESETS[presetId];
+        if (!preset) return Promise.resolve();
+        this.#currentEnvironment = presetId;
+
+        if (this.#environmentCache.has(presetId)) {
+            this.#applyLighting();
+            return Promise.resolve();
+        }
+
+        if (!preset.file) {
+            const room = new RoomEnvironment(this.renderer);
+            this.#environmentCache.set(presetId, {
+                background: null,
+                environment: this.#pmremGenerator.fromScene(room, 0.04).texture
+            });
+            room.dispose();
+            this.#applyLighting();
+            return Promise.resolve();
+        }
+
+        const loader = preset.file.endsWith('.exr') ? new EXRLoader() : new RGBELoader();
+        return loader.loadAsync(preset.file).then(texture => {
+            if (this.#disposed) {
+                texture.dispose();
+                return;
+            }
+            texture.mapping = THREE.EquirectangularReflectionMapping;
+            this.#environmentCache.set(presetId, {
+                background: texture,
+                environment: this.#pmremGenerator.fromEquirectangular(texture).texture
+            });
+            // Only apply if the user hasn't picked another preset meanwhile
+            if (this.#currentEnvironment === presetId) this.#applyLighting();
+        }).catch(error => {
+            console.warn(`Failed to load environment ${preset.file}, keeping analytic lights only`, error);
+        });
+    }
+
+    getEnvironment() {
+        return this.#currentEnvironment;
+    }
+
+    // Combine the lighting preset (day / night) with the environment preset
+    #applyLighting() {
+        const lighting = LIGHTING_PRESETS[this.#currentLighting];
+        const envPreset = ENVIRONMENT_PRESETS[this.#currentEnvironment];
+        const env = this.#environmentCache.get(this.#currentEnvironment);
+
+        this.scene.environment = env ? env.environment : null;
+        if (env && env.background && envPreset.background === 'environment' && this.#currentLighting !== 'night') {
+            this.scene.background = env.background;
+            this.scene.backgroundBlurriness = envPreset.blurriness;
+        } else {
+            this.scene.background = new THREE.Color(lighting.background);
+            this.scene.backgroundBlurriness = 0;
+        }
+
+        this.renderer.toneMappingExposure = lighting.exposure * (env ? envPreset.exposure : 1);
+
+        const lightScale = env ? envPreset.lightScale : 1;
+        ['ambient', 'key', 'fill'].forEach(key => {
+            this.#lights[key].color.setHex(lighting[key].color);
+            this.#lights[key].intensity = lighting[key].intensity * lightScale;
+        });
+
+        this.#applyEnvironmentIntensity(this.scene);
+        this.invalidate();
+    }
+
+    // envMapIntensity is per material (three r160 has no scene-wide setting)
+    #applyEnvironmentIntensity(root) {
+        const envPreset = ENVIRONMENT_PRESETS[this.#currentEnvironment];
+        const intensity = (envPreset ? envPreset.intensity : 1) * LIGHTING_PRESETS[this.#currentLighting].environmentIntensity;
+        root.traverse(child => {
+            if (!child.isMesh || !child.material) return;
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+                if ('envMapIntensity' in material) material.envMapIntensity = intensity;
+            });
+        });
+    }
+
+    setShadowQuality(qualityId) {
+        const quality = SHADOW_QUALITY[qualityId];
+        if (!quality) return;
+        this.#shadowQuality = qualityId;
+
+        this.renderer.shadowMap.enabled = quality.key > 0 || quality.fire > 0;
+
+        [[this.#lights.key, quality.key], [this.#fire.light, quality.fire]].forEach(([light, mapSize]) => {
+            light.castShadow = mapSize > 0;
+            if (mapSize > 0 && light.shadow.mapSize.x !== mapSize) {
+                light.shadow.mapSize.set(mapSize, mapSize);
+                // Force the shadow map to be recreated at the new size
+                if (light.shadow.map) {
+                    light.shadow.map.dispose();
+                    light.shadow.map = null;
                 }
             }
         });
-        currentModel = null;
-        frontPanelMesh = null;
-        removeDecals();
+
+        // Without its shadow the fire light would shine straight through the steel
+        this.#fire.light.visible = quality.fire > 0;
+
+        // Materials compile differently with shadows on or off
+        this.scene.traverse(child => {
+            if (child.material) child.material.needsUpdate = true;
+        });
+        this.invalidate();
+    }
+
+    getShadowQuality() {
+        return this.#shadowQuality;
+    }
+
+    setDimensionsVisible(visible) {
+        this.#dimensions.setVisible(visible);
+        this.invalidate();
+    }
+
+    // 'mm' or 'in'
+    setDimensionUnit(unit) {
+        this.#dimensions.setUnit(unit);
+        this.invalidate();
+    }
+
+    setFireLit(lit) {
+        this.#fire.group.visible = lit;
+        if (lit && this.#currentModel) this.#fire.setBounds(getVisibleBounds(this.#currentModel));
+        this.invalidate(); // Draws the frame without the fire when it is put out
+    }
+
+    resize() {
+        const container = this.#container;
+        this.camera.aspect = container.clientWidth / container.clientHeight;
+        this.camera.updateProjectionMatrix();
+        this.renderer.setSize(container.clientWidth, container.clientHeight);
+        this.#dimensions.setSize(container.clientWidth, container.clientHeight);
+
+        // The fit distance depends on the aspect ratio
+        if (this.#currentModel) {
+            this.#updateCameraLimits();
+            if (this.#cameraAutoFramed) this.#frameModel(false);
+        }
+        this.invalidate();
+    }
+
+    resetCamera() {
+        if (this.#currentModel) {
+            this.setCameraView('hero');
+        } else {
+            this.controls.reset();
+            this.camera.position.set(1.5, 1.0, 3.0);
+        }
+    }
+
+    // Move the camera to a named viewpoint (CAMERA_VIEWS). faceId picks the face for the panel view.
+    setCameraView(viewId, faceId = DEFAULT_FACE) {
+        if (!this.#currentModel || !CAMERA_VIEWS[viewId]) return;
+        const { position, target } = this.#getViewFrame(viewId, faceId);
+        this.#tweenCamera(position, target);
+        // Only the hero view is the automatic framing that follows resizes and the side tables
+        this.#cameraAutoFramed = viewId === 'hero';
+    }
+
+    #getViewFrame(viewId, faceId) {
+        const camera = this.camera;
+        const modelParts = this.#modelParts;
+        const bounds = getVisibleBounds(this.#currentModel);
+        const center = bounds.getCenter(new THREE.Vector3());
+        const size = bounds.getSize(new THREE.Vector3());
+        const view = CAMERA_VIEWS[viewId];
+        let direction = view.direction && new THREE.Vector3(...view.direction);
+        let target;
+        let radius; // Half the extent that has to fit in the view
+
+        if (viewId === 'panel') {
+            const face = PANEL_FACES.find(f => f.id === faceId) || PANEL_FACES[0];
+            const { normal } = getFaceFrame(face);
+            const bodyBox = new THREE.Box3().setFromObject(modelParts.frontFaces[0]);
+            const bodyCenter = bodyBox.getCenter(new THREE.Vector3());
+            const bodySize = bodyBox.getSize(new THREE.Vector3());
+            // Octagon: the faces are about half the body width out from the centre
+            target = bodyCenter.addScaledVector(normal, bodySize.x / 2);
+            direction = normal.clone().setY(0.15);
+            radius = bodySize.y * 0.55;
+        } else if (viewId === 'grill') {
+            target = new THREE.Vector3(center.x, bounds.max.y, center.z);
+            radius = Math.max(size.x, size.z) * 0.55;
+        } else if (viewId === 'side-table') {
+            // The ring's right-hand end, or the top ring's edge while it isn't mounted
+            const detailMeshes = this.#sideTablesVisible && modelParts.sideTables?.length ? modelParts.sideTables : modelParts.topRing || [];
+            const detailBox = new THREE.Box3();
+            detailMeshes.forEach(mesh => detailBox.expandByObject(mesh));
+            if (detailBox.isEmpty()) detailBox.copy(bounds);
+            target = new THREE.Vector3(detailBox.max.x - size.x * 0.1, detailBox.max.y, center.z);
+            radius = size.x * 0.3;
+        } else {
+            target = center;
+            radius = size.length() / 2;
+        }
+
+        // Distance at which a sphere of that radius fits the narrower field of view
+        const verticalFov = THREE.MathUtils.degToRad(camera.fov);
+        const horizontalFov = 2 * Math.atan(Math.tan(verticalFov / 2) * camera.aspect);
+        const distance = radius / Math.sin(Math.min(verticalFov, horizontalFov) / 2);
+
+        const position = target.clone().addScaledVector(direction.normalize(), distance);
+        return { position, target };
+    }
+
+    #tweenCamera(position, target) {
+        this.#cameraTween = {
+            fromPosition: this.camera.position.clone(),
+            fromTarget: this.controls.target.clone(),
+            toPosition: position,
+            toTarget: target,
+            start: performance.now()
+        };
+    }
+
+    // Frame the whole model from the hero viewpoint, animated or as a jump (first load, resize)
+    #frameModel(animated = true) {
+        const { position, target } = this.#getViewFrame('hero');
+        if (animated) {
+            this.#tweenCamera(position, target);
+        } else {
+            this.#cameraTween = null;
+            this.camera.position.copy(position);
+            this.controls.target.copy(target);
+        }
+        this.#cameraAutoFramed = true;
+    }
+
+    // Zoom range from the model's size: from a panel close-up out to a few times the full view
+    #updateCameraLimits() {
+        const hero = this.#getViewFrame('hero');
+        const panel = this.#getViewFrame('panel');
+        const fitDistance = hero.position.distanceTo(hero.target);
+        const panelDistance = panel.position.distanceTo(panel.target);
+        this.controls.minDistance = panelDistance * 0.5;
+        this.controls.maxDistance = fitDistance * 3;
+        this.camera.far = Math.max(100, this.controls.maxDistance * 4);
+        this.camera.updateProjectionMatrix();
+    }
+
+    // Never look from under the floor: limit the polar angle so the camera stays a little above the
+    // ground at its current distance, and keep panning from pushing the target below it
+    #keepCameraAboveGround() {
+        const margin = 0.05;
+        const { controls } = this;
+        const groundY = this.#ground.position.y;
+        controls.target.y = Math.max(controls.target.y, groundY + margin);
+        const height = controls.target.y - groundY;
+        const distance = this.camera.position.distanceTo(controls.target);
+        controls.maxPolarAngle = Math.acos(THREE.MathUtils.clamp((margin - height) / distance, -1, 1));
+    }
+
+    // Double-click on the model: orbit around that point and move in a bit
+    #setupDoubleClickFocus() {
+        const dom = this.renderer.domElement;
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+
+        dom.addEventListener('dblclick', (e) => {
+            if (!this.#currentModel) return;
+            const rect = dom.getBoundingClientRect();
+            pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+            pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+            raycaster.setFromCamera(pointer, this.camera);
+            const hit = raycaster.intersectObject(this.#currentModel, true).find(h => h.object.visible);
+            if (!hit) return;
+
+            const offset = this.camera.position.clone().sub(this.controls.target);
+            const distance = Math.max(this.controls.minDistance, offset.length() * 0.6);
+            this.#tweenCamera(hit.point.clone().add(offset.setLength(distance)), hit.point.clone());
+            this.#cameraAutoFramed = false;
+        }, { signal: this.#listeners.signal });
     }
 
-    const loader = new GLTFLoader();
-    const fileName = modelKey === 'radiant' ? 'Radiant3D.glb' : 'Bloom3D.glb';
+    // Options: { enabled, idleDelay, speed, direction: 'clockwise' | 'counterclockwise', easeTime }
+    setTurntable(options) {
+        this.#turntable = { ...this.#turntable, ...options };
+        this.#lastInteraction = performance.now();
+    }
 
-    // Paths to try
-    const paths = [
-        `./models/${fileName}`
-    ];
+    getTurntable() {
+        return { ...this.#turntable };
+    }
 
-    function tryLoad(index) {
-        if (index >= paths.length) {
-            console.error('All model paths failed for:', fileName);
+    // Any pointer input on the viewer stops the turntable and restarts the idle timer
+    #setupTurntable() {
+        const stop = () => {
+            this.#lastInteraction = performance.now();
+            this.#turntableRamp = 0;
+            this.controls.autoRotate = false;
+        };
+        ['pointerdown', 'pointermove', 'wheel'].forEach(type => {
+            this.renderer.domElement.addEventListener(type, stop, { passive: true, signal: this.#listeners.signal });
+        });
+    }
+
+    // Drives OrbitControls' auto-rotation, easing in after the idle delay.
+    // Paused while the tab is hidden or a camera transition runs.
+    #updateTurntable(delta) {
+        const turntable = this.#turntable;
+        const idle = performance.now() - this.#lastInteraction > turntable.idleDelay;
+        const active = turntable.enabled && idle && this.#currentModel && !this.#cameraTween && !document.hidden;
+
+        if (!active) {
+            this.#turntableRamp = 0;
+            this.controls.autoRotate = false;
             return;
         }
+        const ramp = this.#turntableRamp = Math.min(1, this.#turntableRamp + delta * 1000 / turntable.easeTime);
+        const eased = ramp * ramp * (3 - 2 * ramp); // smoothstep
 
-        const path = paths[index];
-        loader.load(path, (gltf) => {
-            currentModel = gltf.scene;
-            scene.add(currentModel);
+        // OrbitControls: speed 1 = 6 degrees per second, positive turns the model counter-clockwise
+        const sign = turntable.direction === 'clockwise' ? -1 : 1;
+        this.controls.autoRotate = true;
+        this.controls.autoRotateSpeed = sign * eased * turntable.speed / 6;
+    }
 
-            // Auto-center
-            const box = new THREE.Box3().setFromObject(currentModel);
-            const center = box.getCenter(new THREE.Vector3());
-            currentModel.position.x += (currentModel.position.x - center.x);
-            currentModel.position.y += (currentModel.position.y - center.y);
-            currentModel.position.z += (currentModel.position.z - center.z);
-
-            console.log('Model Loaded:', modelKey, 'from', path);
-
-            // Find Front Panel
-            currentModel.traverse((child) => {
-                if (child.isMesh) {
-                    // Heuristic for Front Panel
-                    if (!frontPanelMesh && (child.name.includes('Front') || child.name.includes('Panel') || child.name.includes('Body'))) {
-                        frontPanelMesh = child;
-                        console.log('Selected Front Panel:', child.name);
-                    }
+    // Called every frame, before controls.update()
+    #updateCameraTween() {
+        const tween = this.#cameraTween;
+        if (!tween) return;
+        const t = Math.min(1, (performance.now() - tween.start) / CAMERA_TWEEN_DURATION);
+        const eased = t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; // easeInOutCubic
+
+        this.camera.position.lerpVectors(tween.fromPosition, tween.toPosition, eased);
+        this.controls.target.lerpVectors(tween.fromTarget, tween.toTarget, eased);
+        if (t === 1) this.#cameraTween = null;
+    }
+
+    // Render the current configuration at any resolution for sharing, e.g. 3840 x 2160.
+    // Renders off-screen into a render target with a copy of the camera, so the viewport's
+    // canvas, size and camera are left alone. Resolves with a PNG or JPEG Blob.
+    exportImage({ width = 2560, height = 1440, format = 'png', transparent = false, watermark = true } = {}) {
+        const { renderer, scene } = this;
+        const ground = this.#ground;
+        const dimensions = this.#dimensions;
+
+        // Stay within what the GPU can render and read back in one go
+        const gl = renderer.getContext();
+        const maxViewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+        const maxRenderbuffer = gl.getParameter(gl.MAX_RENDERBUFFER_SIZE);
+        const maxSize = Math.min(renderer.capabilities.maxTextureSize, maxRenderbuffer);
+        const fit = Math.min(1, Math.min(maxSize, maxViewport[0]) / width, Math.min(maxSize, maxViewport[1]) / height);
+        width = Math.floor(width * fit);
+        height = Math.floor(height * fit);
+
+        const isJpeg = format === 'jpeg';
+        const clearBackground = transparent && !isJpeg; // JPEG has no alpha channel
+
+        const exportCamera = this.camera.clone();
+        exportCamera.aspect = width / height;
+        exportCamera.updateProjectionMatrix();
+
+        // Tone mapping and sRGB are only applied when drawing to the screen, so render the scene
+        // in linear HDR first and let the OutputPass apply them into an 8-bit target to read back
+        const sceneTarget = new THREE.WebGLRenderTarget(width, height, { type: THREE.HalfFloatType, samples: 4 });
+        const outputTarget = new THREE.WebGLRenderTarget(width, height);
+        const outputPass = new OutputPass();
+
+        const previousTarget = renderer.getRenderTarget();
+        const previousBackground = scene.background;
+        const groundWasVisible = ground.visible;
+        const dimensionsWereVisible = dimensions.group.visible;
+
+        // The dimension labels are HTML and wouldn't be in the image: leave the lines out too
+        dimensions.group.visible = false;
+        if (clearBackground) {
+            scene.background = null;
+            ground.visible = false;
+        }
+
+        const pixels = new Uint8Array(width * height * 4);
+        try {
+            renderer.setRenderTarget(sceneTarget);
+            renderer.render(scene, exportCamera);
+            outputPass.render(renderer, outputTarget, sceneTarget);
+            renderer.readRenderTargetPixels(outputTarget, 0, 0, width, height, pixels);
+        } finally {
+            renderer.setRenderTarget(previousTarget);
+            scene.background = previousBackground;
+            ground.visible = groundWasVisible;
+            dimensions.group.visible = dimensionsWereVisible;
+            sceneTarget.dispose();
+            outputTarget.dispose();
+            outputPass.dispose();
+        }
+
+        // WebGL reads rows bottom-up, the canvas wants them top-down
+        const imageData = new ImageData(width, height);
+        const rowLength = width * 4;
+        for (let y = 0; y < height; y++) {
+            const row = pixels.subarray((height - 1 - y) * rowLength, (height - y) * rowLength);
+            imageData.data.set(row, y * rowLength);
+        }
+
+        const output = document.createElement('canvas');
+        output.width = width;
+        output.height = height;
+        const ctx = output.getContext('2d');
+        ctx.putImageData(imageData, 0, 0);
+
+        if (watermark) {
+            const fontSize = Math.round(height * 0.03);
+            ctx.font = `${fontSize}px Anta`;
+            ctx.textAlign = 'right';
+            ctx.textBaseline = 'bottom';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillText('CRATERFLAME', width - fontSize, height - fontSize);
+        }
+
+        return new Promise((resolve, reject) => {
+            output.toBlob(blob => {
+                if (blob) resolve(blob);
+                else reject(new Error('Image export failed'));
+            }, isJpeg ? 'image/jpeg' : 'image/png', 0.92);
+        });
+    }
+
+    setSize(sizeKey) {
+        if (!PRODUCT_SIZES[sizeKey]) return;
+        const manifest = this.#currentManifest;
+        const previousFile = manifest && getModelFile(manifest, this.#currentSizeKey);
+        this.#currentSizeKey = sizeKey;
+
+        if (!this.#currentModel) return; // Applied when the model has loaded
+        if (getModelFile(manifest, sizeKey) !== previousFile) this.loadModel(this.#currentModelKey);
+        else this.#fitModelToSize();
+    }
+
+    // Scale the model (1 unit = 1 m) to the real width of the body and the full height
+    // of the selected size, then centre it and put the ground under its feet.
+    #fitModelToSize() {
+        const spec = PRODUCT_SIZES[this.#currentSizeKey];
+        const model = this.#currentModel;
+
+        model.scale.set(1, 1, 1);
+        model.position.set(0, 0, 0);
+        model.updateMatrixWorld(true);
+
+        const bodyBox = new THREE.Box3();
+        this.#modelParts.frontFaces.forEach(mesh => bodyBox.expandByObject(mesh));
+        const bodyWidth = bodyBox.getSize(new THREE.Vector3()).x;
+        const modelHeight = getVisibleBounds(model).getSize(new THREE.Vector3()).y;
+
+        const widthScale = (spec.width / 1000) / bodyWidth;
+        const heightScale = (spec.height / 1000) / modelHeight;
+        model.scale.set(widthScale, heightScale, widthScale);
+        model.updateMatrixWorld(true);
+
+        // Auto-center
+        const box = getVisibleBounds(model);
+        const center = box.getCenter(new THREE.Vector3());
+        model.position.x += (model.position.x - center.x);
+        model.position.y += (model.position.y - center.y);
+        model.position.z += (model.position.z - center.z);
+        model.updateMatrixWorld(true);
+
+        // Camera range and framing follow the model's real size
+        this.#updateModelBounds();
+        this.#frameModel(this.#hasFramedModel);
+        this.#hasFramedModel = true;
+
+        // Decal geometry is built in world space: rebuild it on the resized panel
+        this.#decals.forEach((decal, faceId) => this.setDecalPlacement(faceId, decal.placement));
+        this.invalidate();
+    }
+
+    // Fire in the model's bowl, ground under its feet, dimension lines and camera range,
+    // all from the visible model (with or without the side tables)
+    #updateModelBounds() {
+        const bounds = getVisibleBounds(this.#currentModel);
+        this.#fire.setBounds(bounds);
+        this.#ground.position.y = bounds.min.y;
+        this.#dimensions.update(bounds, PRODUCT_SIZES[this.#currentSizeKey]);
+        this.#updateCameraLimits();
+    }
+
+    // Real size of a decal placement on the current panel, in mm (null until a model is loaded)
+    getDecalSizeMm(placement) {
+        if (!this.#frontPanelMesh) return null;
+        const size = new THREE.Box3().setFromObject(this.#frontPanelMesh).getSize(new THREE.Vector3());
+        return {
+            width: size.x * FACE_WIDTH * placement.width * 1000,
+            height: size.y * placement.height * 1000
+        };
+    }
+
+    // Model, finish and decals as one object standing on the origin. The scene is already
+    // in real-world metres (see #fitModelToSize()), so nothing is rescaled.
+    #buildExportScene() {
+        const model = this.#currentModel;
+        const box = getVisibleBounds(model);
+        const center = box.getCenter(new THREE.Vector3());
+        const sizeName = PRODUCT_SIZES[this.#currentSizeKey].name;
+
+        const content = new THREE.Group();
+        content.position.set(-center.x, -box.min.y, -center.z);
+        content.add(model.clone()); // Shares geometry and materials, nothing to dispose
+
+        const disposables = [];
+        this.#decals.forEach(({ mesh }) => {
+            // Hidden in cut-through mode: the cutouts are a shader effect (see exportModel())
+            if (!mesh.material.visible) return;
+
+            // No polygonOffset in glTF / USD: lift the decal off the panel by 0.5 mm instead
+            const geometry = mesh.geometry.clone();
+            const positions = geometry.attributes.position;
+            const normals = geometry.attributes.normal;
+            const lift = 0.0005;
+            for (let i = 0; i < positions.count; i++) {
+                positions.setXYZ(i,
+                    positions.getX(i) + normals.getX(i) * lift,
+                    positions.getY(i) + normals.getY(i) * lift,
+                    positions.getZ(i) + normals.getZ(i) * lift);
+            }
+
+            // Engraved decals carry their shape in alphaMap, which glTF doesn't support:
+            // use the artwork as base colour texture (its alpha gives the shape)
+            const material = mesh.material.clone();
+            if (material.alphaMap && !material.map) {
+                material.map = material.alphaMap;
+                material.alphaMap = null;
+            }
+
+            const exportMesh = new THREE.Mesh(geometry, material);
+            exportMesh.name = 'Customization';
+            content.add(exportMesh);
+            disposables.push(geometry, material);
+        });
+
+        const root = new THREE.Group();
+        root.name = `Craterflame ${this.#currentModelKey} ${sizeName}`;
+        root.add(content);
+        root.updateMatrixWorld(true);
+
+        return { root, dispose: () => disposables.forEach(d => d.dispose()) };
+    }
+
+    // Export the configured fire pit for AR viewing: 'glb' (Android / web) or 'usdz' (iOS Quick Look).
+    // Resolves with a Blob.
+    // Cut-through openings are a shader effect and can't be exported: with cut-through decals the
+    // export is rejected (error.code 'cut-through') unless withoutCutouts accepts an intact panel.
+    async exportModel(format = 'glb', { withoutCutouts = false } = {}) {
+        if (!this.#currentModel) throw new Error('No model loaded');
+        if (this.#currentMode === 'cut-through' && this.#decals.size > 0 && !withoutCutouts) {
+            const error = new Error('Cut-through openings can\'t be included in the 3D model');
+            error.code = 'cut-through';
+            throw error;
+        }
+
+        const { root, dispose } = this.#buildExportScene();
+        try {
+            if (format === 'usdz') {
+                const data = await new USDZExporter().parse(root);
+                return new Blob([data], { type: 'model/vnd.usdz+zip' });
+            }
+            const data = await new GLTFExporter().parseAsync(root, { binary: true });
+            return new Blob([data], { type: 'model/gltf-binary' });
+        } finally {
+            dispose();
+        }
+    }
+
+    // Model loading state machine: 'idle' -> 'loading' -> 'ready' | 'error', announced as events.
+    // Every loadModel() call gets a new request id; results of older requests are discarded.
+    #setLoadState(state, details = {}) {
+        this.#loadState = state;
+        const detail = { modelKey: this.#currentModelKey, ...details };
+        if (LOAD_STATE_EVENTS[state]) this.#emit(LOAD_STATE_EVENTS[state], detail);
+        this.invalidate();
+    }
+
+    #emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    getLoadState() {
+        return this.#loadState;
+    }
+
+    // Side-table ring accessory: shown or hidden on the loaded model (manifest part "sideTables")
+    setSideTablesVisible(visible) {
+        this.#sideTablesVisible = visible;
+        this.#applySideTables();
+        if (!this.#currentModel) return;
+        this.#updateModelBounds();
+        if (this.#cameraAutoFramed) this.#frameModel();
+    }
+
+    #applySideTables() {
+        (this.#modelParts.sideTables || []).forEach(mesh => {
+            mesh.visible = this.#sideTablesVisible;
+        });
+        this.invalidate();
+    }
+
+    getModelParts() {
+        return this.#modelParts;
+    }
+
+    loadModel(modelKey) {
+        this.#currentModelKey = modelKey;
+        const requestId = ++this.#loadRequestId;
+        const isStale = () => requestId !== this.#loadRequestId;
+
+        if (this.#currentModel) {
+            this.scene.remove(this.#currentModel);
+            // Clean up
+            disposeObject(this.#currentModel);
+            this.#currentModel = null;
+            this.#frontPanelMesh = null;
+            this.#modelParts = {};
+            this.#removeDecals();
+        }
+        this.#currentManifest = null;
+
+        this.#setLoadState('loading', { progress: 0 });
+
+        loadManifest(modelKey).then(manifest => {
+            if (isStale()) return;
+            this.#loadModelFile(manifest, isStale);
+        }).catch(error => {
+            if (isStale()) return;
+            console.error(error);
+            this.#setLoadState('error', { error });
+        });
+    }
+
+    #loadModelFile(manifest, isStale) {
+        const loader = new GLTFLoader();
+        const fileName = getModelFile(manifest, this.#currentSizeKey);
+
+        // Paths to try
+        const paths = [
+            `./models/${fileName}`
+        ];
+
+        const tryLoad = (index) => {
+            if (isStale()) return;
+            if (index >= paths.length) {
+                console.error('All model paths failed for:', fileName);
+                this.#setLoadState('error', { error: new Error(`Could not load the 3D model (${fileName}).`) });
+                return;
+            }
+
+            const path = paths[index];
+            loader.load(path, (gltf) => {
+                // A newer request superseded this one while it was in flight
+                if (isStale()) {
+                    disposeObject(gltf.scene);
+                    return;
                 }
-            });
 
-            // Fallback Front Panel
-            if (!frontPanelMesh) {
-                currentModel.traverse(child => {
-                    if (child.isMesh && !frontPanelMesh) {
-                        frontPanelMesh = child;
-                        console.log('Fallback Front Panel:', child.name);
+                // Validate the GLB against the manifest
+                const { parts, missing } = resolveParts(gltf.scene, manifest);
+                missing.filter(part => !part.required).forEach(part => {
+                    console.warn(`${fileName}: optional part "${part.name}" not found (nodes: ${part.meshes.join(', ')})`);
+                });
+                const missingRequired = missing.filter(part => part.required);
+                if (missingRequired.length > 0) {
+                    disposeObject(gltf.scene);
+                    const list = missingRequired.map(part => `${part.name} (${part.meshes.join(', ')})`).join('; ');
+                    console.error(`${fileName} does not match models/${manifest.id}.json. Missing parts: ${list}`);
+                    this.#setLoadState('error', {
+                        error: new Error(`The 3D model is missing parts: ${list}.`),
+                        missingParts: missingRequired.map(part => part.partId)
+                    });
+                    return;
+                }
+
+                this.#currentModel = gltf.scene;
+                this.#currentManifest = manifest;
+                this.#modelParts = parts;
+                this.scene.add(this.#currentModel);
+
+                // Real-world size of the selected size variant
+                // Side tables first: the fit and the framing only measure what is visible
+                this.#applySideTables();
+                this.#fitModelToSize();
+
+                console.log('Model Loaded:', manifest.id, 'from', path);
+
+                this.#currentModel.traverse(child => {
+                    if (child.isMesh) {
+                        child.castShadow = true;
+                        child.receiveShadow = true;
                     }
                 });
-            }
 
-        }, undefined, (error) => {
-            console.warn(`Failed to load model from ${path}, trying next path...`);
-            tryLoad(index + 1);
-        });
+                // Default materials from the manifest
+                Object.entries(parts).forEach(([partId, meshes]) => applyPartMaterial(meshes, manifest.parts[partId].material || {}));
+                this.#applyEnvironmentIntensity(this.#currentModel);
+
+                // The first front face mesh carries the customization
+                this.#frontPanelMesh = parts.frontFaces[0];
+                this.#panelBaseMap = this.#frontPanelMesh.material.map;
+                console.log('Selected Front Panel:', this.#frontPanelMesh.name);
+
+                // Carry the chosen finish over to the new panel
+                this.#applyFinish();
+                Object.keys(PART_MATERIALS).forEach(groupId => this.#applyPartMaterialChoice(groupId));
+
+                this.#setLoadState('ready', { sizeKey: this.#currentSizeKey, missingParts: missing.map(part => part.partId) });
+            }, (event) => {
+                if (isStale()) return;
+                // progress is null when the server doesn't send a Content-Length
+                this.#setLoadState('loading', { progress: event.lengthComputable ? event.loaded / event.total : null });
+            }, (error) => {
+                console.warn(`Failed to load model from ${path}, trying next path...`, error);
+                tryLoad(index + 1);
+            });
+        };
+
+        // Start loading
+        tryLoad(0);
     }
 
-    // Start loading
-    tryLoad(0);
-}
+    removeDecal(faceId) {
+        const decal = this.#decals.get(faceId);
+        if (!decal) return;
+        this.scene.remove(decal.mesh);
+        decal.mesh.geometry.dispose();
+        decal.mesh.material.dispose();
+        decal.texture.dispose();
+        if (decal.normalMap) decal.normalMap.dispose();
+        this.#decals.delete(faceId);
+        this.#updateCutouts();
+    }
 
-function removeDecals() {
-    if (decalMesh) {
-        scene.remove(decalMesh);
-        if (decalMesh.geometry) decalMesh.geometry.dispose();
-        decalMesh = null;
+    #removeDecals() {
+        [...this.#decals.keys()].forEach(faceId => this.removeDecal(faceId));
     }
-}
 
-// Store texture for mode switching
-let activeTexture = null;
+    // Returns the placement actually applied (clamped to the manufacturable area), null without a panel
+    updateTexture(sourceCanvas, faceId = DEFAULT_FACE, placement = DEFAULT_PLACEMENT) {
+        if (!this.#frontPanelMesh) return null;
 
-export function updateTexture(sourceCanvas) {
-    if (!frontPanelMesh) return;
+        const face = PANEL_FACES.find(f => f.id === faceId);
+        if (!face) return null;
 
-    removeDecals();
+        // Same canvas on the same panel (e.g. typing): upload the new pixels into the existing
+        // texture, and only rebuild the geometry if the placement changed
+        const existing = this.#decals.get(faceId);
+        if (existing && existing.texture.image === sourceCanvas && existing.panel === this.#frontPanelMesh) {
+            existing.texture.needsUpdate = true;
+            existing.reliefStale = true;
+            const clamped = this.#clampPlacement(placement);
+            if (Object.keys(clamped).some(key => clamped[key] !== existing.placement[key])) {
+                this.setDecalPlacement(faceId, clamped);
+            }
+            this.#applyMaterialMode(existing);
+            this.#updateCutouts();
+            return { ...existing.placement };
+        }
 
-    // Create texture from canvas
-    const texture = new THREE.CanvasTexture(sourceCanvas);
-    texture.colorSpace = THREE.SRGBColorSpace;
-    texture.flipY = true; // Correct upside down issue
+        this.removeDecal(faceId);
 
-    activeTexture = texture; // Save for mode switches
+        // Create texture from canvas
+        const texture = new THREE.CanvasTexture(sourceCanvas);
+        texture.colorSpace = THREE.SRGBColorSpace;
+        texture.flipY = true; // Correct upside down issue
 
-    // Determine Decal Placement
-    // We assume the Front Panel faces +Z relative to the model center, or we inspect normals.
-    // Robust approach: Raycast from Front (+Z) towards Center.
-    const box = new THREE.Box3().setFromObject(frontPanelMesh);
-    const center = box.getCenter(new THREE.Vector3());
-    const size = box.getSize(new THREE.Vector3());
+        const clamped = this.#clampPlacement(placement);
+        const mesh = new THREE.Mesh(this.#buildDecalGeometry(face, clamped), createDecalMaterial());
+        mesh.receiveShadow = true;
+        const decal = { mesh, texture, normalMap: null, reliefStale: false, placement: clamped, panel: this.#frontPanelMesh };
 
-    // Raycast from slightly in front of the center
-    const raycaster = new THREE.Raycaster();
+        // Apply Mode Properties
+        this.#applyMaterialMode(decal);
+        this.#applyEnvironmentIntensity(mesh);
 
-    // Offset the ray origin by 50% of width to the right (X axis) (User requested 50%)
-    // And UP by 25% (Y axis)
-    const offsetRel = new THREE.Vector3(size.x * 0.50, size.y * 0.25, 0);
+        this.scene.add(mesh);
+        this.#decals.set(faceId, decal);
+        this.#updateCutouts();
+        this.#emitDecalPlaced(faceId, decal);
+        return { ...clamped };
+    }
 
-    // Start Ray from OUTSIDE the model bounds.
-    // We add Z offset to be "in front" as well, but since we are at the edge (X=50%), 
-    // we should ensure we are sufficiently "out" radially.
-    // Simply adding large Z and casting towards center is reliable for convex shapes.
-    const rayOrigin = center.clone().add(offsetRel).add(new THREE.Vector3(0, 0, size.z));
+    getPlacementLimits() {
+        return this.#currentManifest?.parts.frontFaces.customizableArea || DEFAULT_MANUFACTURABLE_AREA;
+    }
+
+    #clampPlacement(placement) {
+        const area = this.getPlacementLimits();
+        const clamped = { ...DEFAULT_PLACEMENT, ...placement };
+        Object.keys(area).forEach(key => {
+            clamped[key] = THREE.MathUtils.clamp(clamped[key], area[key][0], area[key][1]);
+        });
 
-    // Cast towards the CENTER of the bounding box (or object center)
-    // This ensures we hit the surface regardless of its angle (0, 45, 90 deg).
-    const direction = center.clone().sub(rayOrigin).normalize();
+        // Keep the whole (rotated) decal on its own face: it would wrap onto the neighbouring
+        // faces or run off the panel's top or bottom edge. Real sizes are needed for the rotation.
+        const size = this.#frontPanelMesh
+            ? new THREE.Box3().setFromObject(this.#frontPanelMesh).getSize(new THREE.Vector3())
+            : null;
+        const faceWidth = size ? size.x * FACE_WIDTH : 1;
+        const panelHeight = size ? size.y : 1;
+        const angle = size ? THREE.MathUtils.degToRad(clamped.rotation) : 0;
+        const cos = Math.abs(Math.cos(angle));
+        const sin = Math.abs(Math.sin(angle));
+        const decalWidth = clamped.width * faceWidth;
+        const decalHeight = clamped.height * panelHeight;
+        // Half extents of the rotated decal's bounding box, as fractions of the face
+        let halfU = (decalWidth * cos + decalHeight * sin) / 2 / faceWidth;
+        let halfV = (decalWidth * sin + decalHeight * cos) / 2 / panelHeight;
+
+        // Too big for the face at this angle: shrink, keeping the aspect ratio
+        const fit = Math.min(1, 0.5 / halfU, 0.5 / halfV);
+        clamped.width *= fit;
+        clamped.height *= fit;
+        halfU *= fit;
+        halfV *= fit;
+
+        clamped.u = THREE.MathUtils.clamp(clamped.u, halfU - 0.5, 0.5 - halfU);
+        clamped.v = THREE.MathUtils.clamp(clamped.v, halfV - 0.5, 0.5 - halfV);
+        return clamped;
+    }
 
-    raycaster.set(rayOrigin, direction);
+    #buildDecalGeometry(face, placement) {
+        const panel = this.#frontPanelMesh;
 
-    const intersects = raycaster.intersectObject(frontPanelMesh, false);
+        // Determine Decal Placement
+        // Raycast from outside the selected octagon face, along its inward normal.
+        const box = new THREE.Box3().setFromObject(panel);
+        const center = box.getCenter(new THREE.Vector3());
+        const size = box.getSize(new THREE.Vector3());
 
-    let position = center.clone().add(offsetRel); // Default to offset center
-    let orientation = new THREE.Euler();
+        const { normal: faceNormal, tangent } = getFaceFrame(face);
 
-    // Scale decal to fit nicely (e.g. fit within ONE panel of the octagon)
-    // User requested another +30% size increase (Total approx +69% from base).
-    // 0.455 * 1.3 = 0.5915
-    // 0.65 * 1.3 = 0.845
-    const decalSize = new THREE.Vector3(size.x * 0.5915, size.y * 0.845, 0.2);
+        // Offset along the face (u) and up from the centre (v)
+        const faceWidth = size.x * FACE_WIDTH;
+        const offsetRel = tangent.clone().multiplyScalar(faceWidth * placement.u)
+            .add(new THREE.Vector3(0, size.y * placement.v, 0));
 
-    if (intersects.length > 0) {
-        const hit = intersects[0];
-        position.copy(hit.point);
+        // Start Ray from OUTSIDE the model bounds, in front of the face
+        const reach = Math.max(size.x, size.z);
+        const rayOrigin = center.clone().add(offsetRel).addScaledVector(faceNormal, reach);
+        const direction = faceNormal.clone().negate();
 
-        // Align to face normal
-        const n = hit.face.normal.clone();
-        n.transformDirection(frontPanelMesh.matrixWorld).normalize();
+        const raycaster = new THREE.Raycaster();
+        raycaster.set(rayOrigin, direction);
 
-        // Create a dummy object to help with rotation
+        const intersects = raycaster.intersectObject(panel, false);
+
+        let position = center.clone().add(offsetRel); // Default to offset center
+        let n = faceNormal;
+
+        const decalSize = new THREE.Vector3(faceWidth * placement.width, size.y * placement.height, 0.2);
+
+        if (intersects.length > 0) {
+            const hit = intersects[0];
+            position.copy(hit.point);
+
+            // Align to face normal
+            n = hit.face.normal.clone();
+            n.transformDirection(panel.matrixWorld).normalize();
+        } else {
+            // Fallback: project onto the face's side of the bounding box
+            position.addScaledVector(faceNormal, reach / 2);
+            this.#emit('decalfallback', { faceId: face.id, placement: { ...placement } });
+        }
+
+        // Create a dummy object to help with rotation, then tilt around the normal
         const helper = new THREE.Object3D();
         helper.position.copy(position);
         helper.lookAt(position.clone().add(n));
-        orientation.copy(helper.rotation);
-    } else {
-        // Fallback
-        console.warn('Decal raycast failed, falling back to offset placement');
-        position.z += size.z / 2;
+        helper.rotateZ(THREE.MathUtils.degToRad(placement.rotation));
+
+        // Create Geometry
+        const geometry = new DecalGeometry(panel, position, helper.rotation, decalSize);
+        geometry.userData.fallback = intersects.length === 0;
+
+        // World -> projector space ([-0.5, 0.5] inside the decal box), used for cut-through
+        geometry.userData.projectorInverse = new THREE.Matrix4()
+            .compose(position, helper.quaternion, decalSize)
+            .invert();
+
+        return geometry;
     }
 
-    // Apply Mode Properties
-    applyMaterialMode(texture);
+    // Move / resize / rotate an existing decal without rebuilding its texture.
+    // Returns the placement actually applied (clamped to the manufacturable area).
+    setDecalPlacement(faceId, placement) {
+        const decal = this.#decals.get(faceId);
+        if (!decal || !this.#frontPanelMesh) return this.#clampPlacement(placement);
 
-    // Create Geometry
-    const geometry = new DecalGeometry(frontPanelMesh, position, orientation, decalSize);
+        const face = PANEL_FACES.find(f => f.id === faceId);
+        decal.placement = this.#clampPlacement(placement);
+        decal.mesh.geometry.dispose();
+        decal.mesh.geometry = this.#buildDecalGeometry(face, decal.placement);
+        this.#updateCutouts();
+        this.#emitDecalPlaced(faceId, decal);
+        return { ...decal.placement };
+    }
 
-    decalMesh = new THREE.Mesh(geometry, decalMaterial);
-    scene.add(decalMesh);
-}
+    #emitDecalPlaced(faceId, decal) {
+        this.#emit('decalplaced', { faceId, placement: { ...decal.placement }, fallback: decal.mesh.geometry.userData.fallback });
+    }
 
-export function setFinish(finishId) {
-    if (!FINISH_PRESETS[finishId]) return;
-    currentFinish = finishId;
-
-    // Update Base Panel Material
-    if (frontPanelMesh && frontPanelMesh.material) {
-        const preset = FINISH_PRESETS[currentFinish].base;
-        frontPanelMesh.material.roughness = preset.roughness;
-        frontPanelMesh.material.metalness = preset.metalness;
-        // Optimization: preserve existing normal map if present, just update scale? 
-        // User said: "Normal map: reuse base normal", so we just tweak normalScale if it exists
-        if (frontPanelMesh.material.normalScale) {
-            frontPanelMesh.material.normalScale.set(preset.normalScale, preset.normalScale);
+    #setupDecalDragging() {
+        const dom = this.renderer.domElement;
+        const signal = this.#listeners.signal;
+        const raycaster = new THREE.Raycaster();
+        const pointer = new THREE.Vector2();
+        let draggedFace = null;
+
+        const castFromEvent = (e, objects) => {
+            const rect = dom.getBoundingClientRect();
+            pointer.x = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+            pointer.y = -((e.clientY - rect.top) / rect.height) * 2 + 1;
+            raycaster.setFromCamera(pointer, this.camera);
+            return raycaster.intersectObjects(objects, false);
+        };
+
+        const faceUnderPointer = (e) => {
+            const meshes = [...this.#decals.values()].map(d => d.mesh);
+            if (meshes.length === 0) return null;
+            const hits = castFromEvent(e, meshes);
+            if (hits.length === 0) return null;
+            for (const [faceId, decal] of this.#decals) {
+                if (decal.mesh === hits[0].object) return faceId;
+            }
+            return null;
+        };
+
+        // Capture phase, so we can pause OrbitControls before it starts rotating
+        dom.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || !this.#frontPanelMesh) return;
+            draggedFace = faceUnderPointer(e);
+            if (!draggedFace) return;
+
+            this.controls.enabled = false;
+            dom.setPointerCapture(e.pointerId);
+            dom.style.cursor = 'grabbing';
+        }, { capture: true, signal });
+
+        dom.addEventListener('pointermove', (e) => {
+            if (!draggedFace) {
+                dom.style.cursor = faceUnderPointer(e) ? 'grab' : '';
+                return;
+            }
+
+            const panel = this.#frontPanelMesh;
+            const decal = this.#decals.get(draggedFace);
+            if (!decal || !panel) return;
+
+            const hits = castFromEvent(e, [panel]);
+            if (hits.length === 0) return;
+
+            // Express the hit point in the dragged face's (u, v) frame
+            const face = PANEL_FACES.find(f => f.id === draggedFace);
+            const box = new THREE.Box3().setFromObject(panel);
+            const center = box.getCenter(new THREE.Vector3());
+            const size = box.getSize(new THREE.Vector3());
+            const local = hits[0].point.clone().sub(center);
+            const { tangent } = getFaceFrame(face);
+
+            this.setDecalPlacement(draggedFace, {
+                ...decal.placement,
+                u: local.dot(tangent) / (size.x * FACE_WIDTH),
+                v: local.y / size.y
+            });
+        }, { signal });
+
+        const endDrag = (e) => {
+            if (!draggedFace) return;
+            const faceId = draggedFace;
+            draggedFace = null;
+
+            this.controls.enabled = true;
+            if (dom.hasPointerCapture(e.pointerId)) dom.releasePointerCapture(e.pointerId);
+            dom.style.cursor = '';
+
+            const decal = this.#decals.get(faceId);
+            if (decal) this.#emit('decalmoved', { faceId, placement: { ...decal.placement } });
+        };
+
+        dom.addEventListener('pointerup', endDrag, { signal });
+        dom.addEventListener('pointercancel', endDrag, { signal });
+    }
+
+    // Push the current decals into the cutout uniforms (none unless in cut-through mode)
+    #updateCutouts() {
+        const panel = this.#frontPanelMesh;
+        if (!panel) return;
+        const panelMaterial = panel.material;
+        const uniforms = this.#cutoutUniforms;
+
+        let count = 0;
+        if (this.#currentMode === 'cut-through') {
+            installCutoutShader(panelMaterial, uniforms);
+            installCutoutShadowMaterials(panel, uniforms);
+            this.#decals.forEach(({ mesh, texture }) => {
+                uniforms.cutoutMatrices.value[count].copy(mesh.geometry.userData.projectorInverse);
+                uniforms.cutoutMaps.value[count] = texture;
+                count++;
+            });
+        }
+        uniforms.cutoutCount.value = count;
+
+        // Show the inside of the body through the openings
+        if (panelMaterial.userData.originalSide === undefined) panelMaterial.userData.originalSide = panelMaterial.side;
+        const side = count > 0 ? THREE.DoubleSide : panelMaterial.userData.originalSide;
+        if (panelMaterial.side !== side) {
+            panelMaterial.side = side;
+            panelMaterial.needsUpdate = true;
         }
+        this.invalidate();
     }
 
-    // Re-apply decal material logic if it exists
-    if (decalMesh && activeTexture) {
-        applyMaterialMode(activeTexture);
+    setFinish(finishId) {
+        if (!FINISH_PRESETS[finishId]) return;
+        const changed = finishId !== this.#currentFinish;
+        this.#currentFinish = finishId;
+        this.#applyFinish();
+        if (changed) this.#emitFinishChanged();
     }
-}
 
-export function setMode(mode) {
-    currentMode = mode;
-    if (decalMesh && activeTexture) {
-        applyMaterialMode(activeTexture);
+    // Panel and decal materials for the current finish, powder colour and weathering age
+    #applyFinish() {
+        const finishId = this.#currentFinish;
+        const panel = this.#frontPanelMesh;
+
+        // Update Base Panel Material
+        if (panel && panel.material) {
+            const preset = FINISH_PRESETS[finishId].base;
+            panel.material.roughness = preset.roughness;
+            panel.material.metalness = preset.metalness;
+            // Optimization: preserve existing normal map if present, just update scale?
+            // User said: "Normal map: reuse base normal", so we just tweak normalScale if it exists
+            if (panel.material.normalScale) {
+                panel.material.normalScale.set(preset.normalScale, preset.normalScale);
+            }
+
+            // Only powder coat takes a custom colour, the bare steel finishes keep the body colour
+            const bodyColor = this.#currentManifest?.parts.frontFaces.material?.color;
+            if (finishId === 'powder' && this.#powderColor) panel.material.color.set(this.#powderColor);
+            else if (bodyColor) panel.material.color.set(bodyColor);
+
+            this.#applyWeathering();
+        }
+
+        // Re-apply decal material logic if it exists
+        this.#decals.forEach(decal => this.#applyMaterialMode(decal));
+        this.invalidate();
     }
-}
 
-function applyMaterialMode(texture) {
-    // Check if we have original material to copy from
-    const baseMat = frontPanelMesh ? frontPanelMesh.material : null;
+    #emitFinishChanged() {
+        this.#emit('finishchanged', { finish: this.#currentFinish, powderColor: this.#powderColor, weatheringAge: this.#weatheringAge });
+    }
+
+    // hex = '#rrggbb' from the RAL catalogue, or null for the standard colour.
+    // Engraved decals pick it up too, they copy the panel colour in #applyMaterialMode().
+    setPowderColor(hex) {
+        if (hex === this.#powderColor) return;
+        this.#powderColor = hex;
+        this.#applyFinish();
+        this.#emitFinishChanged();
+    }
+
+    setWeatheringAge(years) {
+        const age = THREE.MathUtils.clamp(years, 0, MAX_WEATHERING_AGE);
+        if (age === this.#weatheringAge) return;
+        this.#weatheringAge = age;
+        this.#applyFinish();
+        this.#emitFinishChanged();
+    }
+
+    getWeatheringAge() {
+        return this.#weatheringAge;
+    }
+
+    // Share of the panel covered by patina (0..1) for the current finish and age
+    #getWeatheringCoverage() {
+        const weathering = FINISH_PRESETS[this.#currentFinish].weathering;
+        if (!weathering) return 0;
+        return 1 - Math.exp(-weathering.rate * this.#weatheringAge);
+    }
+
+    // Blend the patina and the rust streaks over the panel colour. Runs after setFinish() has
+    // set the new-state colour and PBR values, and swaps the colour into a generated map.
+    #applyWeathering() {
+        const material = this.#frontPanelMesh.material;
+        const weathering = FINISH_PRESETS[this.#currentFinish].weathering;
+        const coverage = this.#getWeatheringCoverage();
+        const previousMap = material.map;
+
+        if (coverage > 0) {
+            const baseColor = '#' + material.color.getHexString();
+            const { patina, streaks } = getWeatheringLayers(this.#currentFinish);
+
+            if (!this.#weatheringTexture) {
+                const canvas = document.createElement('canvas');
+                canvas.width = canvas.height = patina.width;
+                this.#weatheringTexture = new THREE.CanvasTexture(canvas);
+                this.#weatheringTexture.colorSpace = THREE.SRGBColorSpace;
+            }
+            const canvas = this.#weatheringTexture.image;
+            const ctx = canvas.getContext('2d');
+            ctx.globalAlpha = 1;
+            ctx.fillStyle = baseColor;
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            ctx.globalAlpha = coverage;
+            ctx.drawImage(patina, 0, 0);
+            // Streaks build up more slowly and keep darkening over the whole range
+            ctx.globalAlpha = 0.85 * this.#weatheringAge / MAX_WEATHERING_AGE;
+            ctx.drawImage(streaks, 0, 0);
+            this.#weatheringTexture.needsUpdate = true;
+
+            // The map carries the colour now
+            material.map = this.#weatheringTexture;
+            material.color.setHex(0xffffff);
+            material.roughness = THREE.MathUtils.lerp(material.roughness, weathering.roughness, coverage);
+            material.metalness = THREE.MathUtils.lerp(material.metalness, weathering.metalness, coverage);
+        } else {
+            material.map = this.#panelBaseMap;
+        }
+        // Adding or removing a map needs a new shader
+        if (material.map !== previousMap) material.needsUpdate = true;
+    }
+
+    // Colour of the panel as it looks from a distance, for the decals to copy.
+    // When weathered that is the body colour shifted towards the patina.
+    #getPanelColor() {
+        if (!this.#frontPanelMesh) return new THREE.Color(0xffffff);
+        const coverage = this.#getWeatheringCoverage();
+        if (coverage === 0) return this.#frontPanelMesh.material.color.clone();
+
+        const bodyColor = new THREE.Color(this.#currentManifest?.parts.frontFaces.material?.color || 0xffffff);
+        return bodyColor.lerp(new THREE.Color(FINISH_PRESETS[this.#currentFinish].weathering.patina), coverage * 0.85);
+    }
+
+    setPartMaterial(groupId, optionId) {
+        const group = PART_MATERIALS[groupId];
+        if (!group || !group.options[optionId]) return;
+        this.#partMaterialChoices[groupId] = optionId;
+        this.#applyPartMaterialChoice(groupId);
+    }
+
+    #loadCachedTexture(path, colorSpace) {
+        const cache = this.#textureCache;
+        if (!cache.has(path)) {
+            const promise = new THREE.TextureLoader().loadAsync(path).then(texture => {
+                texture.colorSpace = colorSpace;
+                texture.wrapS = texture.wrapT = THREE.RepeatWrapping;
+                return texture;
+            });
+            // Don't cache failures, the next selection tries again
+            promise.catch(() => cache.delete(path));
+            cache.set(path, promise);
+        }
+        return cache.get(path);
+    }
+
+    #setPartOption(groupId, option, maps = {}) {
+        PART_MATERIALS[groupId].parts.forEach(partId => {
+            (this.#modelParts[partId] || []).forEach(mesh => {
+                const material = mesh.material;
+                // Without a loaded set (none, still loading or failed) the GLB's own maps stay
+                if (!this.#glbMaps.has(material)) {
+                    this.#glbMaps.set(material, { map: material.map, normalMap: material.normalMap, roughnessMap: material.roughnessMap });
+                }
+                const glbMaps = this.#glbMaps.get(material);
+                material.map = maps.map || glbMaps.map;
+                material.normalMap = maps.normalMap || glbMaps.normalMap;
+                material.roughnessMap = maps.roughnessMap || glbMaps.roughnessMap;
+                // The colour map carries the tint, the plain colour is the fallback
+                material.color.set(maps.map ? '#ffffff' : option.color);
+                material.roughness = material.roughnessMap ? 1 : option.roughness;
+                material.metalness = option.metalness;
+                material.needsUpdate = true;
+            });
+        });
+        this.invalidate();
+    }
+
+    #applyPartMaterialChoice(groupId) {
+        const optionId = this.#partMaterialChoices[groupId];
+        const option = PART_MATERIALS[groupId].options[optionId];
+
+        // Plain colour right away, the texture set replaces it once loaded
+        this.#setPartOption(groupId, option);
+        if (!option.textures) return;
+
+        const model = this.#currentModel;
+        Promise.all([
+            this.#loadCachedTexture(option.textures.map, THREE.SRGBColorSpace),
+            this.#loadCachedTexture(option.textures.normalMap, THREE.NoColorSpace),
+            this.#loadCachedTexture(option.textures.roughnessMap, THREE.NoColorSpace)
+        ]).then(([map, normalMap, roughnessMap]) => {
+            // Skip if the selection or the model changed meanwhile
+            if (this.#partMaterialChoices[groupId] !== optionId || this.#currentModel !== model) return;
+            this.#setPartOption(groupId, option, { map, normalMap, roughnessMap });
+        }).catch(() => {
+            console.warn(`Texture set for ${option.name} not found, using the plain colour`);
+        });
+    }
+
+    setMode(mode) {
+        const previousMode = this.#currentMode;
+        this.#currentMode = mode;
+        this.#decals.forEach(decal => this.#applyMaterialMode(decal));
+        this.#updateCutouts();
+        if (mode !== previousMode) this.#emit('modechanged', { mode, previousMode });
+    }
+
+    // Engraving depth in mm for the current finish
+    getEngravingDepth() {
+        return this.#engravingDepths[this.#currentFinish] ?? FINISH_PRESETS[this.#currentFinish].engraved.depth;
+    }
+
+    setEngravingDepth(depth) {
+        this.#engravingDepths[this.#currentFinish] = depth;
+        if (this.#currentMode === 'engraved') this.#decals.forEach(decal => this.#applyMaterialMode(decal));
+        this.invalidate();
+    }
+
+    #applyMaterialMode(decal) {
+        const { texture } = decal;
+        const decalMaterial = decal.mesh.material;
+
+        // Default properties from original if available, else defaults (aged along with the panel)
+        const baseColor = this.#getPanelColor();
+
+        // Use preset values for base panel reference
+        const finishPreset = FINISH_PRESETS[this.#currentFinish] || FINISH_PRESETS['powder'];
 
-    // Default properties from original if available, else defaults
-    const baseColor = baseMat ? baseMat.color.clone() : new THREE.Color(0xffffff);
 
-    // Use preset values for base panel reference
-    const finishPreset = FINISH_PRESETS[currentFinish] || FINISH_PRESETS['powder'];
+        decalMaterial.needsUpdate = true;
 
+        // In cut-through mode the artwork is a hole in the panel, the decal itself is not drawn
+        decalMaterial.visible = this.#currentMode !== 'cut-through';
 
-    decalMaterial.needsUpdate = true;
+        if (this.#currentMode === 'engraved') {
+            const p = finishPreset.engraved;
 
-    if (currentMode === 'engraved') {
-        const p = finishPreset.engraved;
+            // Remove color map, use texture as ALPHA map for the shape
+            decalMaterial.map = null;
+            decalMaterial.alphaMap = texture;
 
-        // Remove color map, use texture as ALPHA map for the shape
-        decalMaterial.map = null;
-        decalMaterial.alphaMap = texture;
+            // Match base color BUT slightly modified for some materials (Simple simulation of "Darker" for Raw Steel)
+            decalMaterial.color.copy(baseColor);
+            if (p.colorMult && p.colorMult !== 1.0) {
+                decalMaterial.color.multiplyScalar(p.colorMult);
+            }
+
+            // Apply Preset Properties
+            decalMaterial.roughness = p.roughness;
+            decalMaterial.metalness = p.metalness;
+
+            // Relief: normal map derived from the artwork, scaled by the engraving depth
+            // Built on first use, redrawn in place when the artwork changed since
+            if (!decal.normalMap) {
+                decal.normalMap = createReliefNormalMap(texture.image);
+            } else if (decal.reliefStale) {
+                createReliefNormalMap(texture.image, decal.normalMap.image);
+                decal.normalMap.needsUpdate = true;
+            }
+            decal.reliefStale = false;
+            decalMaterial.normalMap = decal.normalMap;
+            const normalScale = p.normalScale * this.getEngravingDepth();
+            decalMaterial.normalScale.set(normalScale, normalScale);
 
-        // Match base color BUT slightly modified for some materials (Simple simulation of "Darker" for Raw Steel)
-        decalMaterial.color.copy(baseColor);
-        if (p.colorMult && p.colorMult !== 1.0) {
-            decalMaterial.color.multiplyScalar(p.colorMult);
+            // Ensure transparent
+        } else {
+            // Printed Mode: Standard overlay
+            decalMaterial.map = texture;
+            decalMaterial.alphaMap = null; // Don't use alpha mask logic, rely on texture's own alpha
+            decalMaterial.normalMap = null;
+
+            // Printed usually sits on top, opaque or semi-opaque inks.
+            // We'll use white base so the texture colors show true.
+            decalMaterial.color.setHex(0xffffff);
+            decalMaterial.roughness = 0.4;
+            decalMaterial.metalness = 0.0;
+
+            // Outdoors the print fades and takes on the rust tone of the steel around it
+            const coverage = this.#getWeatheringCoverage();
+            if (coverage > 0) {
+                decalMaterial.color.lerp(baseColor, coverage * 0.35);
+                decalMaterial.roughness = THREE.MathUtils.lerp(0.4, 0.8, coverage);
+            }
         }
+    }
+}
+
+// Model file for a size: a manifest may ship a separate GLB per size
+// ("sizes": { "xl-1000": { "file": ... } }), otherwise the base file is scaled.
+function getModelFile(manifest, sizeKey) {
+    return manifest.sizes?.[sizeKey]?.file || manifest.file;
+}
+
+function disposeObject(object) {
+    object.traverse(child => {
+        if (child.isMesh) {
+            child.geometry.dispose();
+            if (child.material) {
+                if (Array.isArray(child.material)) child.material.forEach(m => m.dispose());
+                else child.material.dispose();
+            }
+            if (child.customDepthMaterial) child.customDepthMaterial.dispose();
+            if (child.customDistanceMaterial) child.customDistanceMaterial.dispose();
+        }
+    });
+}
+
+// Every model ships a manifest (models/<model>.json) naming its parts by GLB node name.
+// A node may be a mesh or a group of meshes.
+function loadManifest(modelKey) {
+    return fetch(`./models/${modelKey}.json`).then(response => {
+        if (!response.ok) throw new Error(`Could not load the part manifest for ${modelKey} (HTTP ${response.status}).`);
+        return response.json();
+    });
+}
+
+// Match the manifest against the loaded GLB. Returns the meshes per part and the missing parts.
+function resolveParts(root, manifest) {
+    const parts = {};
+    const missing = [];
+
+    Object.entries(manifest.parts).forEach(([partId, part]) => {
+        const meshes = [];
+        part.meshes.forEach(nodeName => {
+            const node = root.getObjectByName(nodeName);
+            if (node) node.traverse(child => child.isMesh && meshes.push(child));
+        });
+
+        if (meshes.length > 0) parts[partId] = meshes;
+        else missing.push({ partId, ...part });
+    });
+
+    return { parts, missing };
+}
+
+function applyPartMaterial(meshes, { color, roughness, metalness }) {
+    meshes.forEach(mesh => {
+        const material = mesh.material;
+        if (color !== undefined) material.color.set(color);
+        if (roughness !== undefined) material.roughness = roughness;
+        if (metalness !== undefined) material.metalness = metalness;
+    });
+}
 
-        // Apply Preset Properties
-        decalMaterial.roughness = p.roughness;
-        decalMaterial.metalness = p.metalness;
 
-        // Ensure transparent
-    } else {
-        // Printed Mode: Standard overlay
-        decalMaterial.map = texture;
-        decalMaterial.alphaMap = null; // Don't use alpha mask logic, rely on texture's own alpha
+// Box3.setFromObject() also counts hidden meshes, like the side tables while they are off
+function getVisibleBounds(root) {
+    const box = new THREE.Box3();
+    const meshBox = new THREE.Box3();
+    root.updateWorldMatrix(true, true);
+    root.traverseVisible(child => {
+        if (!child.isMesh) return;
+        if (!child.geometry.boundingBox) child.geometry.computeBoundingBox();
+        box.union(meshBox.copy(child.geometry.boundingBox).applyMatrix4(child.matrixWorld));
+    });
+    return box;
+}
+
+// Local frame of a face: outward normal and the in-plane "right" direction
+function getFaceFrame(face) {
+    const angle = THREE.MathUtils.degToRad(face.angle);
+    const normal = new THREE.Vector3(Math.sin(angle), 0, Math.cos(angle));
+    const tangent = new THREE.Vector3(Math.cos(angle), 0, -Math.sin(angle));
+    return { normal, tangent };
+}
 
-        // Printed usually sits on top, opaque or semi-opaque inks. 
-        // We'll use white base so the texture colors show true.
-        decalMaterial.color.setHex(0xffffff);
-        decalMaterial.roughness = 0.4;
-        decalMaterial.metalness = 0.0;
+// Seeded so the rust pattern stays the same while the slider moves
+function createRandom(seed) {
+    return () => {
+        seed = (seed * 16807) % 2147483647;
+        return (seed - 1) / 2147483646;
+    };
+}
+
+// Procedural layers on transparent canvases: mottled patina and vertical run-off streaks
+function createWeatheringLayers({ patina, streaks }) {
+    const size = 512;
+    const random = createRandom(1337);
+    const color = new THREE.Color();
+
+    const patinaCanvas = document.createElement('canvas');
+    patinaCanvas.width = patinaCanvas.height = size;
+    let ctx = patinaCanvas.getContext('2d');
+    // Even oxide layer with darker and lighter blotches on top
+    ctx.fillStyle = patina;
+    ctx.globalAlpha = 0.75;
+    ctx.fillRect(0, 0, size, size);
+    for (let i = 0; i < 400; i++) {
+        const x = random() * size;
+        const y = random() * size;
+        const r = 4 + random() * 40;
+        color.set(patina).offsetHSL((random() - 0.5) * 0.04, 0, (random() - 0.5) * 0.2);
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, r);
+        gradient.addColorStop(0, `#${color.getHexString()}`);
+        gradient.addColorStop(1, `#${color.getHexString()}00`);
+        ctx.globalAlpha = 0.3 + random() * 0.5;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x - r, y - r, r * 2, r * 2);
     }
+
+    const streakCanvas = document.createElement('canvas');
+    streakCanvas.width = streakCanvas.height = size;
+    ctx = streakCanvas.getContext('2d');
+    for (let i = 0; i < 90; i++) {
+        const x = random() * size;
+        const top = random() * size * 0.6;
+        const length = size * (0.15 + random() * 0.45);
+        const width = 1 + random() * 5;
+        const gradient = ctx.createLinearGradient(0, top, 0, top + length);
+        gradient.addColorStop(0, streaks);
+        gradient.addColorStop(1, `${streaks}00`);
+        ctx.globalAlpha = 0.2 + random() * 0.5;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x, top, width, length);
+    }
+
+    return { patina: patinaCanvas, streaks: streakCanvas };
+}
+
+// Weathering layers per finish, generated once and shared by all viewers (only read from)
+const weatheringLayers = {};
+
+function getWeatheringLayers(finishId) {
+    if (!weatheringLayers[finishId]) weatheringLayers[finishId] = createWeatheringLayers(FINISH_PRESETS[finishId].weathering);
+    return weatheringLayers[finishId];
+}
+
+// Turn the decal artwork into a normal map of a recessed engraving.
+// Height field = inverted artwork mask (same channels the alphaMap reads), softened so the
+// recess gets sloped walls, then differentiated with a Sobel filter.
+// Draws into targetCanvas when given (redrawing an existing normal map), otherwise into a new one.
+function createReliefNormalMap(sourceCanvas, targetCanvas = null) {
+    const width = sourceCanvas.width;
+    const height = sourceCanvas.height;
+
+    const heightCanvas = targetCanvas || document.createElement('canvas');
+    heightCanvas.width = width;
+    heightCanvas.height = height;
+    const ctx = heightCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.filter = `blur(${Math.max(1, Math.round(width / 256))}px)`; // Bevel width
+    ctx.drawImage(sourceCanvas, 0, 0);
+
+    const src = ctx.getImageData(0, 0, width, height).data;
+    const heights = new Float32Array(width * height);
+    for (let i = 0; i < heights.length; i++) {
+        heights[i] = 1 - (src[i * 4 + 1] / 255) * (src[i * 4 + 3] / 255);
+    }
+
+    const out = ctx.createImageData(width, height);
+    const h = (x, y) => heights[Math.min(height - 1, Math.max(0, y)) * width + Math.min(width - 1, Math.max(0, x))];
+    const strength = 4;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const dx = (h(x + 1, y - 1) + 2 * h(x + 1, y) + h(x + 1, y + 1)) - (h(x - 1, y - 1) + 2 * h(x - 1, y) + h(x - 1, y + 1));
+            const dy = (h(x - 1, y + 1) + 2 * h(x, y + 1) + h(x + 1, y + 1)) - (h(x - 1, y - 1) + 2 * h(x, y - 1) + h(x + 1, y - 1));
+
+            // Image rows run downwards, texture V runs upwards (flipY), hence +dy
+            const nx = -dx * strength;
+            const ny = dy * strength;
+            const len = Math.sqrt(nx * nx + ny * ny + 1);
+
+            const o = (y * width + x) * 4;
+            out.data[o] = (nx / len * 0.5 + 0.5) * 255;
+            out.data[o + 1] = (ny / len * 0.5 + 0.5) * 255;
+            out.data[o + 2] = (1 / len * 0.5 + 0.5) * 255;
+            out.data[o + 3] = 255;
+        }
+    }
+
+    ctx.putImageData(out, 0, 0);
+    if (targetCanvas) return null;
+
+    const normalMap = new THREE.CanvasTexture(heightCanvas);
+    normalMap.flipY = true; // Match the artwork texture
+    return normalMap;
 }
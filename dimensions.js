@@ -0,0 +1,121 @@
+import * as THREE from 'three';
+import { CSS2DRenderer, CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
+
+// Measurement overlay like on the printed spec sheet: dimension lines for width,
+// height and the span with side tables, labelled in mm or inches.
+
+const MM_PER_INCH = 25.4;
+const TICK = 0.04; // Length of the end ticks, in metres
+
+function formatLength(mm, unit) {
+    return unit === 'in' ? `${(mm / MM_PER_INCH).toFixed(1)}″` : `${Math.round(mm)} mm`;
+}
+
+export function createDimensions(container) {
+    const group = new THREE.Group();
+    group.name = 'Dimensions';
+    group.visible = false;
+
+    // Labels are HTML, drawn by their own renderer on top of the WebGL canvas
+    const labelRenderer = new CSS2DRenderer();
+    labelRenderer.setSize(container.clientWidth, container.clientHeight);
+    labelRenderer.domElement.className = 'dimension-layer';
+    labelRenderer.domElement.style.display = 'none';
+    container.appendChild(labelRenderer.domElement);
+
+    const lineMaterial = new THREE.LineBasicMaterial({ color: 0xED8B00, depthTest: false, transparent: true });
+    const lineGeometry = new THREE.BufferGeometry();
+    const lines = new THREE.LineSegments(lineGeometry, lineMaterial);
+    lines.renderOrder = 999; // Always on top of the model
+    group.add(lines);
+
+    const labels = {};
+    ['width', 'height', 'span'].forEach(key => {
+        const element = document.createElement('div');
+        element.className = 'dimension-label';
+        labels[key] = new CSS2DObject(element);
+        group.add(labels[key]);
+    });
+
+    let unit = 'mm';
+    let values = null; // { width, height, minHeight, span } in mm
+
+    // A dimension line from a to b with ticks perpendicular to it (along tickDir)
+    function pushDimension(points, a, b, tickDir) {
+        points.push(a, b);
+        [a, b].forEach(end => {
+            points.push(end.clone().addScaledVector(tickDir, TICK), end.clone().addScaledVector(tickDir, -TICK));
+        });
+    }
+
+    // box = model bounds in world space (the model is at real scale, 1 unit = 1 m)
+    function update(box, spec) {
+        values = spec;
+        const center = box.getCenter(new THREE.Vector3());
+        const forward = new THREE.Vector3(0, 0, 1);
+        const points = [];
+
+        // Width: along the floor, in front of the model
+        const halfWidth = spec.width / 2000;
+        const widthZ = box.max.z + 0.1;
+        const widthY = box.min.y + 0.01;
+        pushDimension(points,
+            new THREE.Vector3(center.x - halfWidth, widthY, widthZ),
+            new THREE.Vector3(center.x + halfWidth, widthY, widthZ), forward);
+        labels.width.position.set(center.x, widthY, widthZ);
+
+        // Height: vertical, at the right-hand front corner
+        const heightX = box.max.x + 0.1;
+        const heightZ = box.max.z;
+        pushDimension(points,
+            new THREE.Vector3(heightX, box.min.y, heightZ),
+            new THREE.Vector3(heightX, box.max.y, heightZ), forward);
+        labels.height.position.set(heightX, center.y, heightZ);
+
+        // Span with side tables: further in front, along the floor
+        const halfSpan = spec.span / 2000;
+        const spanZ = widthZ + 0.25;
+        pushDimension(points,
+            new THREE.Vector3(center.x - halfSpan, widthY, spanZ),
+            new THREE.Vector3(center.x + halfSpan, widthY, spanZ), forward);
+        labels.span.position.set(center.x, widthY, spanZ);
+
+        lineGeometry.setFromPoints(points);
+        updateLabels();
+    }
+
+    function updateLabels() {
+        if (!values) return;
+        labels.width.element.textContent = formatLength(values.width, unit);
+        labels.height.element.textContent = values.minHeight
+            ? `${formatLength(values.minHeight, unit)} – ${formatLength(values.height, unit)}`
+            : formatLength(values.height, unit);
+        labels.span.element.textContent = `${formatLength(values.span, unit)} with side tables`;
+    }
+
+    function setUnit(newUnit) {
+        unit = newUnit;
+        updateLabels();
+    }
+
+    function setVisible(visible) {
+        group.visible = visible;
+        labelRenderer.domElement.style.display = visible ? '' : 'none';
+    }
+
+    function render(camera) {
+        if (group.visible) labelRenderer.render(group, camera);
+    }
+
+    function setSize(width, height) {
+        labelRenderer.setSize(width, height);
+    }
+
+    function dispose() {
+        lineGeometry.dispose();
+        lineMaterial.dispose();
+        labelRenderer.domElement.remove();
+    }
+
+    return { group, update, setUnit, setVisible, render, setSize, dispose };
+}
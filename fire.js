@@ -0,0 +1,144 @@
+import * as THREE from 'three';
+
+// "Light the fire" preview: flame sprites, rising embers and a flickering point light
+// that sits inside the bowl, so its glow only reaches the outside through the openings.
+
+const FLAME_COUNT = 14;
+const EMBER_COUNT = 120;
+
+function createGlowTexture() {
+    const size = 128;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d');
+
+    const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0.0, 'rgba(255, 240, 200, 1)');
+    gradient.addColorStop(0.25, 'rgba(255, 170, 60, 0.85)');
+    gradient.addColorStop(0.6, 'rgba(237, 90, 10, 0.35)');
+    gradient.addColorStop(1.0, 'rgba(120, 20, 0, 0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+export function createFire() {
+    const group = new THREE.Group();
+    group.name = 'Fire';
+    group.visible = false;
+
+    const glowTexture = createGlowTexture();
+
+    // Flames: additive sprites that drift up, stretch and fade
+    const flameMaterial = new THREE.SpriteMaterial({
+        map: glowTexture,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        transparent: true
+    });
+    const flames = Array.from({ length: FLAME_COUNT }, (_, i) => {
+        const sprite = new THREE.Sprite(flameMaterial.clone());
+        sprite.userData = {
+            angle: (i / FLAME_COUNT) * Math.PI * 2,
+            radius: 0.15 + Math.random() * 0.5,
+            phase: Math.random(),
+            speed: 0.6 + Math.random() * 0.6
+        };
+        group.add(sprite);
+        return sprite;
+    });
+
+    // Embers: small points rising out of the bowl
+    const emberPositions = new Float32Array(EMBER_COUNT * 3);
+    const emberLife = new Float32Array(EMBER_COUNT).map(() => Math.random());
+    const emberGeometry = new THREE.BufferGeometry();
+    emberGeometry.setAttribute('position', new THREE.BufferAttribute(emberPositions, 3));
+    const emberMaterial = new THREE.PointsMaterial({
+        color: 0xff7a1a,
+        size: 0.012,
+        map: glowTexture,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        transparent: true
+    });
+    const embers = new THREE.Points(emberGeometry, emberMaterial);
+    embers.frustumCulled = false;
+    group.add(embers);
+
+    // Flickering light in the bowl
+    // It casts shadows, so the perforations throw a pattern of light onto the ground
+    const light = new THREE.PointLight(0xff8a2a, 0, 0, 2);
+    light.castShadow = true;
+    light.shadow.bias = -0.002;
+    light.shadow.camera.near = 0.02;
+    group.add(light);
+
+    // Bowl dimensions in world units, set from the model bounds
+    let bowlRadius = 0.3;
+    let flameHeight = 0.3;
+    const baseIntensity = 6;
+
+    function setBounds(box) {
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+
+        bowlRadius = Math.min(size.x, size.z) * 0.3;
+        flameHeight = size.y * 0.35;
+
+        // Fire bed a little below the rim
+        group.position.set(center.x, box.max.y - size.y * 0.25, center.z);
+        light.position.set(0, flameHeight * 0.3, 0);
+    }
+
+    function update(elapsed) {
+        if (!group.visible) return;
+
+        // Layered sines give an organic, non-repeating flicker
+        const flicker = 1
+            + 0.15 * Math.sin(elapsed * 7.3)
+            + 0.10 * Math.sin(elapsed * 13.1 + 1.7)
+            + 0.05 * (Math.random() - 0.5);
+        light.intensity = baseIntensity * flicker;
+
+        flames.forEach(sprite => {
+            const { angle, radius, phase, speed } = sprite.userData;
+            const t = (elapsed * speed + phase) % 1; // 0 = born at the bed, 1 = burnt out
+            const sway = Math.sin(elapsed * 3 + angle * 5) * 0.05 * bowlRadius;
+
+            sprite.position.set(
+                Math.cos(angle) * radius * bowlRadius * (1 - t * 0.6) + sway,
+                t * flameHeight,
+                Math.sin(angle) * radius * bowlRadius * (1 - t * 0.6)
+            );
+            const scale = bowlRadius * (0.9 - t * 0.6) * flicker;
+            sprite.scale.set(scale, scale * 1.6, 1);
+            sprite.material.opacity = Math.sin(t * Math.PI) * 0.9;
+        });
+
+        for (let i = 0; i < EMBER_COUNT; i++) {
+            emberLife[i] += 0.004 + (i % 7) * 0.0006;
+            if (emberLife[i] > 1) emberLife[i] = 0;
+            const life = emberLife[i];
+            const a = i * 2.399; // Golden angle spreads them around the bowl
+            emberPositions[i * 3] = Math.cos(a) * bowlRadius * 0.8 * (i / EMBER_COUNT) + Math.sin(elapsed + i) * 0.02;
+            emberPositions[i * 3 + 1] = life * flameHeight * 2.5;
+            emberPositions[i * 3 + 2] = Math.sin(a) * bowlRadius * 0.8 * (i / EMBER_COUNT) + Math.cos(elapsed + i) * 0.02;
+        }
+        emberGeometry.attributes.position.needsUpdate = true;
+    }
+
+    function dispose() {
+        flames.forEach(sprite => sprite.material.dispose());
+        flameMaterial.dispose();
+        emberGeometry.dispose();
+        emberMaterial.dispose();
+        glowTexture.dispose();
+        light.dispose();
+    }
+
+    return { group, light, setBounds, update, dispose };
+}
@@ -1,11 +1,28 @@
-import { init, loadModel, updateTexture, setMode, resize, setFinish } from './configurator.js';
+import { Configurator, findCutThroughIslands, SHADOW_QUALITY, ENVIRONMENT_PRESETS, PART_MATERIALS, FINISH_PRESETS, PANEL_FACES, DEFAULT_FACE, DEFAULT_PLACEMENT } from './configurator.js';
+import { findRalColor, searchRalColors } from './ral.js';
 
 // State
 const state = {
     model: 'radiant',
+    mode: 'printed',
+    fireLit: false,
+    night: false,
+    showDimensions: false,
+    turntable: true,
+    unit: 'mm',
     size: 's-740',
+    sideTables: false,
+    finish: 'powder',
+    ralCode: null, // Powder-coat colour, e.g. 'RAL 7016'. null = standard colour
+    // Chosen option per part material group, e.g. { wood: 'teak', grill: 'raw-steel' }
+    materials: Object.fromEntries(Object.entries(PART_MATERIALS).map(([id, group]) => [id, group.defaultOption])),
+    materialsFee: 0,
     basePrice: 3500,
+    sideTablesFee: 0,
     customizationFee: 0,
+    // Customization per octagon face: faceId -> { text, image, placement, lockAspect }
+    faces: Object.fromEntries(PANEL_FACES.map(f => [f.id, { text: '', image: null, placement: { ...DEFAULT_PLACEMENT }, lockAspect: true }])),
+    activeFace: DEFAULT_FACE,
     cart: []
 };
 
@@ -14,7 +31,15 @@ const PRICES = {
     'radiant': { 's-740': 3500, 'xl-1000': 4625 },
     'bloom': { 's-740': 3500, 'xl-1000': 4625 }
 };
-const CUSTOMIZATION_COST = 350;
+const SIDE_TABLE_PRICES = { 's-740': 890, 'xl-1000': 1150 };
+// Price delta per part material option
+const MATERIAL_PRICES = {
+    'wood': { 'thermo-ash': 0, 'oak': 120, 'teak': 240 },
+    'grill': { 'raw-steel': 0, 'seasoned-black': 95 }
+};
+const CUSTOMIZATION_COST = 350; // Flat fee, however many faces are customized
+const MODE_LABELS = { 'printed': 'Printed', 'engraved': 'Engraved', 'cut-through': 'Cut-Through' };
+const TEXTURE_SIZE = 1024;
 
 // Elements
 const ui = {
@@ -35,18 +60,83 @@ const ui = {
     cartTotal: document.getElementById('cart-total'),
     cartItemsContainer: document.getElementById('cart-items-container'),
     resetViewBtn: document.getElementById('reset-view'),
-    resetViewBtn: document.getElementById('reset-view'),
-    textureCanvas: document.getElementById('texture-canvas'),
-    finishSelect: document.getElementById('finish-select')
+    cameraViewBtns: document.querySelectorAll('[data-camera-view]'),
+    toggleFireBtn: document.getElementById('toggle-fire'),
+    toggleNightBtn: document.getElementById('toggle-night'),
+    shadowQualitySelect: document.getElementById('shadow-quality'),
+    toggleDimensionsBtn: document.getElementById('toggle-dimensions'),
+    toggleUnitBtn: document.getElementById('toggle-unit'),
+    toggleTurntableBtn: document.getElementById('toggle-turntable'),
+    environmentSelect: document.getElementById('environment-select'),
+    exportResolution: document.getElementById('export-resolution'),
+    exportAspect: document.getElementById('export-aspect'),
+    exportFormat: document.getElementById('export-format'),
+    exportTransparent: document.getElementById('export-transparent'),
+    exportWatermark: document.getElementById('export-watermark'),
+    exportImageBtn: document.getElementById('export-image'),
+    exportGlbBtn: document.getElementById('export-glb'),
+    exportUsdzBtn: document.getElementById('export-usdz'),
+    viewer: document.getElementById('threejs-container'),
+    customizationSection: document.getElementById('customization-section'),
+    shareSection: document.getElementById('share-section'),
+    viewerStatus: document.getElementById('viewer-status'),
+    viewerStatusMessage: document.getElementById('viewer-status-message'),
+    viewerProgress: document.getElementById('viewer-progress'),
+    viewerProgressFill: document.getElementById('viewer-progress-fill'),
+    renderDebug: document.getElementById('render-debug'),
+    viewerRetryBtn: document.getElementById('viewer-retry'),
+    facePicker: document.getElementById('face-picker'),
+    decalWidth: document.getElementById('decal-width'),
+    decalHeight: document.getElementById('decal-height'),
+    decalRotation: document.getElementById('decal-rotation'),
+    decalWidthValue: document.getElementById('decal-width-value'),
+    decalHeightValue: document.getElementById('decal-height-value'),
+    decalRotationValue: document.getElementById('decal-rotation-value'),
+    lockAspect: document.getElementById('decal-lock-aspect'),
+    engraveDepthRow: document.getElementById('engrave-depth-row'),
+    engraveDepth: document.getElementById('engrave-depth'),
+    engraveDepthValue: document.getElementById('engrave-depth-value'),
+    cutThroughWarning: document.getElementById('cut-through-warning'),
+    customFeeAmount: document.getElementById('customization-fee'),
+    sideTablesCheckbox: document.getElementById('side-tables'),
+    sideTablesPrice: document.getElementById('side-tables-price'),
+    sideTablesRow: document.getElementById('side-tables-row'),
+    sideTablesFee: document.getElementById('side-tables-fee'),
+    materialSelects: document.querySelectorAll('[data-material-group]'),
+    materialsFeeRow: document.getElementById('materials-fee-row'),
+    materialsFee: document.getElementById('materials-fee'),
+    finishSelect: document.getElementById('finish-select'),
+    powderColorRow: document.getElementById('powder-color-row'),
+    ralSearch: document.getElementById('ral-search'),
+    ralSwatches: document.getElementById('ral-swatches'),
+    ralSelected: document.getElementById('ral-selected'),
+    weatheringRow: document.getElementById('weathering-row'),
+    weatheringAge: document.getElementById('weathering-age'),
+    weatheringAgeValue: document.getElementById('weathering-age-value')
 };
 
+// 3D viewer, created once the page has loaded
+let viewer = null;
+
 // Initialization
-document.addEventListener('DOMContentLoaded', async () => {
+document.addEventListener('DOMContentLoaded', () => {
     // Init Three.js
-    await init('threejs-container');
+    viewer = new Configurator(document.getElementById('threejs-container'));
+
+    // Follow the model loading state before the first load starts
+    viewer.addEventListener('modelloading', (e) => handleLoadState({ state: 'loading', ...e.detail }));
+    viewer.addEventListener('modelloaded', (e) => handleLoadState({ state: 'ready', ...e.detail }));
+    viewer.addEventListener('modelerror', (e) => handleLoadState({ state: 'error', ...e.detail }));
+    viewer.addEventListener('decalfallback', (e) => {
+        console.warn(`Decal raycast failed on the ${e.detail.faceId} face, falling back to offset placement`);
+    });
 
     // Load initial model
-    loadModel(state.model);
+    viewer.loadModel(state.model);
+
+    // Build the face picker
+    renderFacePicker();
+    syncPlacementControls();
 
     // Setup Event Listeners
     setupEventListeners();
@@ -56,20 +146,50 @@ document.addEventListener('DOMContentLoaded', async () => {
     updatePrice();
 
     // Set initial finish
-    if (ui.finishSelect) setFinish(ui.finishSelect.value);
+    if (ui.finishSelect) viewer.setFinish(ui.finishSelect.value);
+    renderRalSwatches();
+
+    if (new URLSearchParams(location.search).has('debug')) startRenderDebug();
+    syncEngraveDepth();
 });
 
 function setupEventListeners() {
     // Model Change
     ui.modelSelect.addEventListener('change', (e) => {
         state.model = e.target.value;
-        loadModel(state.model);
+        viewer.loadModel(state.model);
+        syncPlacementControls(); // Limits differ per model
         updatePrice();
     });
 
     // Size Change
     ui.sizeSelect.addEventListener('change', (e) => {
         state.size = e.target.value;
+        viewer.setSize(state.size);
+        syncPlacementControls(); // Real decal size changes with the product size
+        updatePrice();
+    });
+
+    // Part Materials
+    ui.materialSelects.forEach(select => {
+        const groupId = select.dataset.materialGroup;
+        select.innerHTML = Object.entries(PART_MATERIALS[groupId].options).map(([id, option]) => {
+            const delta = MATERIAL_PRICES[groupId][id];
+            return `<option value="${id}">${option.name}${delta ? ` (+€${delta.toLocaleString()})` : ''}</option>`;
+        }).join('');
+        select.value = state.materials[groupId];
+
+        select.addEventListener('change', (e) => {
+            state.materials[groupId] = e.target.value;
+            viewer.setPartMaterial(groupId, e.target.value);
+            updatePrice();
+        });
+    });
+
+    // Side-Table Ring
+    ui.sideTablesCheckbox.addEventListener('change', (e) => {
+        state.sideTables = e.target.checked;
+        viewer.setSideTablesVisible(state.sideTables);
         updatePrice();
     });
 
@@ -79,43 +199,101 @@ function setupEventListeners() {
             ui.modeBtns.forEach(b => b.classList.remove('active'));
             btn.classList.add('active');
             const mode = btn.dataset.mode;
-            setMode(mode);
+            state.mode = mode;
+            viewer.setMode(mode);
+            ui.engraveDepthRow.style.display = mode === 'engraved' ? 'grid' : 'none';
             triggerTextureUpdate(); // Re-apply texture logic if needed
+            checkCutThroughIslands();
         });
     });
 
+    // Decal dragged on the 3D panel
+    viewer.addEventListener('decalmoved', (e) => {
+        const { faceId, placement } = e.detail;
+        state.faces[faceId].placement = placement;
+        selectFace(faceId);
+    });
+
+    // Engraving Depth
+    ui.engraveDepth.addEventListener('input', () => {
+        viewer.setEngravingDepth(parseFloat(ui.engraveDepth.value));
+        syncEngraveDepth();
+    });
+
+    // Face Selection
+    ui.facePicker.addEventListener('click', (e) => {
+        const btn = e.target.closest('.face-btn');
+        if (!btn) return;
+        selectFace(btn.dataset.face);
+        viewer.setCameraView('panel', btn.dataset.face); // Bring the chosen face into view
+    });
+
+    // Decal Size & Rotation
+    ui.decalWidth.addEventListener('input', () => resizeDecal('width', parseFloat(ui.decalWidth.value)));
+    ui.decalHeight.addEventListener('input', () => resizeDecal('height', parseFloat(ui.decalHeight.value)));
+    ui.decalRotation.addEventListener('input', () => {
+        applyPlacement({ ...state.faces[state.activeFace].placement, rotation: parseFloat(ui.decalRotation.value) });
+    });
+    ui.lockAspect.addEventListener('change', () => {
+        state.faces[state.activeFace].lockAspect = ui.lockAspect.checked;
+    });
+
     // Finish Selection
     if (ui.finishSelect) {
         ui.finishSelect.addEventListener('change', (e) => {
-            setFinish(e.target.value);
+            state.finish = e.target.value;
+            viewer.setFinish(e.target.value);
+            ui.powderColorRow.style.display = state.finish === 'powder' ? '' : 'none';
+            ui.weatheringRow.style.display = FINISH_PRESETS[state.finish].weathering ? '' : 'none';
+            syncEngraveDepth(); // Depth is kept per finish
             // Re-trigger model check logic just in case default model load needs this
         });
     }
 
-    let debounceTimeout;
+    // Weathering (preview only, not part of the order)
+    ui.weatheringAge.addEventListener('input', () => {
+        const years = parseFloat(ui.weatheringAge.value);
+        viewer.setWeatheringAge(years);
+        ui.weatheringAgeValue.textContent = formatAge(years);
+    });
+
+    // Powder-Coat Colour
+    ui.ralSearch.addEventListener('input', renderRalSwatches);
+
+    // One timer per face, so switching faces while typing doesn't drop the previous face's update
+    const textUpdateTimers = {};
     // Custom Text Input
     ui.customText.addEventListener('input', () => {
-        
-        clearTimeout(debounceTimeout);
+        const faceId = state.activeFace;
+        state.faces[faceId].text = ui.customText.value;
 
-        debounceTimeout = setTimeout(() => {
-            triggerTextureUpdate();
+        clearTimeout(textUpdateTimers[faceId]);
+
+        textUpdateTimers[faceId] = setTimeout(() => {
+            triggerTextureUpdate(faceId);
             checkCustomizationFee();
         }, 600);
     });
     
-    // Reset Customization
+    // Reset Customization (all faces)
     ui.resetCustomizationBtn.addEventListener('click', () => {
         ui.customText.value = '';
         ui.imageInput.value = '';
-        currentUploadedImage = null; // Clear image var
-        triggerTextureUpdate(); // Will fallback to clear canvas
+        PANEL_FACES.forEach(({ id }) => {
+            state.faces[id].text = '';
+            state.faces[id].image = null;
+            state.faces[id].placement = { ...DEFAULT_PLACEMENT };
+            state.faces[id].lockAspect = true;
+            triggerTextureUpdate(id); // Will remove the face's decal
+        });
+        syncPlacementControls();
         checkCustomizationFee();
     });
 
     // Image Upload
     ui.imageInput.addEventListener('change', (e) => {
         const file = e.target.files[0];
+        const faceId = state.activeFace;
         if (file) {
             if (file.size > 5 * 1024 * 1024) {
                 alert('File size exceeds 5MB');
@@ -126,9 +304,8 @@ function setupEventListeners() {
             reader.onload = (event) => {
                 const img = new Image();
                 img.onload = () => {
-                    // Store image in state or directly on canvas wrapper
-                    // We'll pass the image object to the texture generator
-                    triggerTextureUpdate(img);
+                    state.faces[faceId].image = img;
+                    triggerTextureUpdate(faceId);
                     checkCustomizationFee();
                 };
                 img.src = event.target.result;
@@ -137,23 +314,120 @@ function setupEventListeners() {
         }
     });
 
+    // Retry a failed model load
+    ui.viewerRetryBtn.addEventListener('click', () => viewer.loadModel(state.model));
+
     // UI Buttons
     ui.cartToggle.addEventListener('click', toggleCart);
     ui.closeCart.addEventListener('click', toggleCart);
     ui.addToCartBtn.addEventListener('click', addToCart);
-    ui.resetViewBtn.addEventListener('click', () => {
-        // We might need to expose camera reset from configurator
-        // For now, let's assume we can re-init or have a specific function
-        // Implemented simply as reloading the model's camera target or similar? 
-        // Or just let configurator handle it via a custom event or exported function.
-        // I'll export a simple resetCamera function in configurator.js later.
-        // For now, assume it exists or just log.
-        import('./configurator.js').then(module => {
-            if (module.resetCamera) module.resetCamera();
-        });
+    ui.resetViewBtn.addEventListener('click', () => viewer.resetCamera());
+
+    // Camera viewpoints, the panel view frames the face being customized
+    ui.cameraViewBtns.forEach(btn => {
+        btn.addEventListener('click', () => viewer.setCameraView(btn.dataset.cameraView, state.activeFace));
+    });
+
+    // Fire preview: lighting the fire switches to night, putting it out back to day
+    ui.toggleFireBtn.addEventListener('click', () => {
+        state.fireLit = !state.fireLit;
+        viewer.setFireLit(state.fireLit);
+        setNight(state.fireLit);
+        ui.toggleFireBtn.classList.toggle('active', state.fireLit);
+        ui.toggleFireBtn.textContent = state.fireLit ? 'Put Out Fire' : 'Light the Fire';
     });
+    ui.toggleNightBtn.addEventListener('click', () => setNight(!state.night));
+
+    // Turntable showcase after idle time
+    ui.toggleTurntableBtn.addEventListener('click', () => {
+        state.turntable = !state.turntable;
+        viewer.setTurntable({ enabled: state.turntable });
+        ui.toggleTurntableBtn.classList.toggle('active', state.turntable);
+    });
+
+    // Dimension overlay and its unit switch
+    ui.toggleDimensionsBtn.addEventListener('click', () => {
+        state.showDimensions = !state.showDimensions;
+        viewer.setDimensionsVisible(state.showDimensions);
+        ui.toggleDimensionsBtn.classList.toggle('active', state.showDimensions);
+        ui.toggleUnitBtn.hidden = !state.showDimensions;
+    });
+    ui.toggleUnitBtn.addEventListener('click', () => {
+        state.unit = state.unit === 'mm' ? 'in' : 'mm';
+        viewer.setDimensionUnit(state.unit);
+        ui.toggleUnitBtn.textContent = state.unit === 'mm' ? 'mm' : 'inch';
+    });
+
+    // Environment (image-based lighting)
+    ui.environmentSelect.innerHTML = Object.entries(ENVIRONMENT_PRESETS)
+        .map(([id, { name }]) => `<option value="${id}">${name}</option>`)
+        .join('');
+    ui.environmentSelect.value = viewer.getEnvironment();
+    ui.environmentSelect.addEventListener('change', (e) => viewer.setEnvironment(e.target.value));
+
+    // Shadow Quality
+    ui.shadowQualitySelect.innerHTML = Object.entries(SHADOW_QUALITY)
+        .map(([id, { name }]) => `<option value="${id}">Shadows: ${name}</option>`)
+        .join('');
+    ui.shadowQualitySelect.value = viewer.getShadowQuality();
+    ui.shadowQualitySelect.addEventListener('change', (e) => viewer.setShadowQuality(e.target.value));
+
+    // Image Export
+    ui.exportFormat.addEventListener('change', () => {
+        // JPEG has no transparency
+        ui.exportTransparent.disabled = ui.exportFormat.value === 'jpeg';
+    });
+    ui.exportImageBtn.addEventListener('click', downloadImage);
+    ui.exportGlbBtn.addEventListener('click', () => downloadModel('glb', ui.exportGlbBtn));
+    ui.exportUsdzBtn.addEventListener('click', () => downloadModel('usdz', ui.exportUsdzBtn));
+
+    window.addEventListener('resize', () => viewer.resize());
+}
 
-    window.addEventListener('resize', resize);
+// Model Loading
+function handleLoadState({ state: loadState, progress, error, missingParts = [] }) {
+    const ready = loadState === 'ready';
+
+    // Customization and Add to Cart need the model
+    ui.customizationSection.inert = !ready;
+    ui.shareSection.inert = !ready;
+    ui.addToCartBtn.disabled = !ready;
+
+    ui.viewerStatus.hidden = ready;
+    ui.viewerStatus.classList.toggle('error', loadState === 'error');
+    ui.viewerProgress.hidden = loadState !== 'loading';
+    // Retrying can't fix a GLB that doesn't match its manifest
+    ui.viewerRetryBtn.hidden = loadState !== 'error' || missingParts.length > 0;
+
+    if (loadState === 'loading') {
+        ui.viewerStatusMessage.textContent = 'Loading model...';
+        ui.viewerProgress.classList.toggle('indeterminate', progress === null);
+        ui.viewerProgressFill.style.width = progress === null ? '' : `${Math.round(progress * 100)}%`;
+    } else if (loadState === 'error' && missingParts.length > 0) {
+        // The details are in the console, this isn't something the customer can fix
+        ui.viewerStatusMessage.textContent = 'This model can\'t be shown right now, its 3D file is incomplete. Please try another model or contact us.';
+    } else if (loadState === 'error') {
+        ui.viewerStatusMessage.textContent = `${error.message} Please check your connection and try again.`;
+    } else if (ready) {
+        // Side tables are an accessory, not every model has them
+        const hasSideTables = !missingParts.includes('sideTables');
+        ui.sideTablesCheckbox.disabled = !hasSideTables;
+        if (!hasSideTables && state.sideTables) {
+            ui.sideTablesCheckbox.checked = state.sideTables = false;
+            viewer.setSideTablesVisible(false);
+            updatePrice();
+        }
+
+        // Decals belong to the previous model: rebuild every customized face on the new one
+        getCustomizedFaces().forEach(face => triggerTextureUpdate(face.id));
+        syncPlacementControls();
+    }
+}
+
+function setNight(night) {
+    state.night = night;
+    viewer.setLightingPreset(night ? 'night' : 'day');
+    ui.toggleNightBtn.classList.toggle('active', night);
 }
 
 // Logic
@@ -161,25 +435,40 @@ function updatePrice() {
     const base = PRICES[state.model][state.size];
     state.basePrice = base;
 
-    let total = base + state.customizationFee;
+    const sideTablePrice = SIDE_TABLE_PRICES[state.size];
+    state.sideTablesFee = state.sideTables ? sideTablePrice : 0;
+    ui.sideTablesPrice.textContent = `+€${sideTablePrice.toLocaleString()}`;
+    ui.sideTablesFee.textContent = `+€${sideTablePrice.toLocaleString()}`;
+    ui.sideTablesRow.style.display = state.sideTables ? 'flex' : 'none';
+
+    state.materialsFee = Object.entries(state.materials)
+        .reduce((sum, [groupId, optionId]) => sum + MATERIAL_PRICES[groupId][optionId], 0);
+    ui.materialsFee.textContent = `+€${state.materialsFee.toLocaleString()}`;
+    ui.materialsFeeRow.style.display = state.materialsFee > 0 ? 'flex' : 'none';
+
+    let total = base + state.sideTablesFee + state.materialsFee + state.customizationFee;
 
     ui.basePriceDisplay.textContent = `€${base.toLocaleString()}`;
     ui.totalPriceDisplay.textContent = `€${total.toLocaleString()}`;
 }
 
-function checkCustomizationFee() {
-    const hasText = ui.customText.value.trim().length > 0;
-    const hasImage = ui.imageInput.files.length > 0; // Note: if user cancels file dialog, files is empty. But if we use currentUploadedImage it's safer.
-    // Actually currentUploadedImage persists until reset.
-    // ui.imageInput.files is what controls the file input visual.
-    // Let's rely on the inputs being present OR currentUploadedImage being not null?
-    // User might clear text but keep image.
+function isFaceCustomized(faceId) {
+    const face = state.faces[faceId];
+    return face.text.trim().length > 0 || face.image !== null;
+}
+
+function getCustomizedFaces() {
+    return PANEL_FACES.filter(f => isFaceCustomized(f.id));
+}
 
-    // Better:
-    const isCustomized = hasText || currentUploadedImage;
+function checkCustomizationFee() {
+    // Rely on the face state rather than ui.imageInput.files:
+    // the file input only reflects the face currently being edited.
+    const customizedCount = getCustomizedFaces().length;
 
-    if (isCustomized) {
+    if (customizedCount > 0) {
         state.customizationFee = CUSTOMIZATION_COST;
+        ui.customFeeAmount.textContent = `+€${state.customizationFee.toLocaleString()}`;
         ui.customFeeRow.style.display = 'flex';
         ui.resetCustomizationBtn.style.display = 'block'; // Show reset button
     } else {
@@ -187,21 +476,186 @@ function checkCustomizationFee() {
         ui.customFeeRow.style.display = 'none';
         ui.resetCustomizationBtn.style.display = 'none'; // Hide reset button
     }
+    renderFacePicker();
     updatePrice();
 }
 
+// Render Debug (?debug)
+// Frames actually rendered, to check that a static scene stops rendering
+function startRenderDebug() {
+    ui.renderDebug.hidden = false;
+    let previous = viewer.getRenderStats().framesRendered;
+    setInterval(() => {
+        const { framesRendered, memory } = viewer.getRenderStats();
+        ui.renderDebug.textContent = `frames rendered: ${framesRendered}\nlast second: ${framesRendered - previous}`
+            + `\ntextures: ${memory.textures}\ngeometries: ${memory.geometries}`;
+        previous = framesRendered;
+    }, 1000);
+
+    // From the console: await checkDecalMemory()
+    window.checkDecalMemory = checkDecalMemory;
+}
+
+// Type into the active face many times and compare the GPU texture and geometry counts.
+// They should stay flat: the decal texture is updated in place, not recreated.
+async function checkDecalMemory(edits = 300) {
+    const face = state.faces[state.activeFace];
+    const faceId = state.activeFace;
+    const originalText = face.text;
+    const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve));
+
+    // Warm-up edit, so the decal exists and is on the GPU before measuring
+    face.text = 'Memory check';
+    triggerTextureUpdate(faceId);
+    await nextFrame();
+    const before = viewer.getRenderStats().memory;
+
+    for (let i = 0; i < edits; i++) {
+        face.text = `Memory check ${i}`;
+        triggerTextureUpdate(faceId);
+        await nextFrame();
+    }
+    const after = viewer.getRenderStats().memory;
+
+    face.text = originalText;
+    triggerTextureUpdate(faceId);
+
+    const flat = after.textures === before.textures && after.geometries === before.geometries;
+    console.table({ before, after });
+    console.log(flat ? `Memory flat after ${edits} edits` : `Memory grew during ${edits} edits`);
+    return { before, after, flat };
+}
+
+// Finish: Weathering & Powder-Coat Colour
+function formatAge(years) {
+    if (years === 0) return 'New';
+    if (years < 1) return `${Math.round(years * 12)} mo`;
+    return `${years} yr`;
+}
+
+// Swatches matching the search, or the popular colours when it is empty
+function renderRalSwatches() {
+    const matches = searchRalColors(ui.ralSearch.value);
+    ui.ralSwatches.innerHTML = '';
+    matches.forEach(color => {
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
+        swatch.className = 'ral-swatch';
+        swatch.classList.toggle('active', color.code === state.ralCode);
+        swatch.style.backgroundColor = color.hex;
+        swatch.title = `${color.code} ${color.name}`;
+        swatch.addEventListener('click', () => selectRalColor(color.code === state.ralCode ? null : color.code));
+        ui.ralSwatches.appendChild(swatch);
+    });
+    if (!matches.length) ui.ralSwatches.innerHTML = '<span class="config-hint">No RAL colour found</span>';
+}
+
+// code = RAL code, or null to go back to the standard colour (clicking the active swatch again)
+function selectRalColor(code) {
+    const color = code && findRalColor(code);
+    state.ralCode = color ? color.code : null;
+    viewer.setPowderColor(color ? color.hex : null);
+    ui.ralSelected.textContent = color ? `${color.code} ${color.name}` : 'Standard colour';
+    renderRalSwatches();
+}
+
+// Face Picker
+function renderFacePicker() {
+    ui.facePicker.innerHTML = PANEL_FACES.map(face => `
+        <button type="button" class="face-btn face-${face.id}${face.id === state.activeFace ? ' active' : ''}${isFaceCustomized(face.id) ? ' customized' : ''}"
+            data-face="${face.id}" title="${face.name}">${face.name}</button>
+    `).join('') + '<span class="face-picker-center">Top View</span>';
+}
+
+function selectFace(faceId) {
+    state.activeFace = faceId;
+    // Show the selected face's content in the inputs
+    ui.customText.value = state.faces[faceId].text;
+    ui.imageInput.value = '';
+    renderFacePicker();
+    syncPlacementControls();
+}
+
+// Decal Size & Rotation
+function resizeDecal(dimension, value) {
+    const face = state.faces[state.activeFace];
+    const placement = { ...face.placement, [dimension]: value };
+
+    if (face.lockAspect) {
+        const ratio = face.placement.height / face.placement.width;
+        if (dimension === 'width') placement.height = value * ratio;
+        else placement.width = value / ratio;
+
+        // Keep the ratio when the other dimension would leave the manufacturable area (either end)
+        const limits = viewer.getPlacementLimits();
+        const grow = Math.max(1, limits.width[0] / placement.width, limits.height[0] / placement.height);
+        const fit = Math.min(grow, limits.width[1] / placement.width, limits.height[1] / placement.height);
+        placement.width *= fit;
+        placement.height *= fit;
+    }
+
+    applyPlacement(placement);
+}
+
+function applyPlacement(placement) {
+    // Returns the placement clamped to the model's manufacturable area
+    state.faces[state.activeFace].placement = viewer.setDecalPlacement(state.activeFace, placement);
+    syncPlacementControls();
+}
+
+function syncPlacementControls() {
+    const limits = viewer.getPlacementLimits();
+    const face = state.faces[state.activeFace];
+    const { width, height, rotation } = face.placement;
+
+    [[ui.decalWidth, limits.width, width], [ui.decalHeight, limits.height, height], [ui.decalRotation, limits.rotation, rotation]]
+        .forEach(([input, [min, max], value]) => {
+            input.min = min;
+            input.max = max;
+            input.value = value;
+        });
+    ui.lockAspect.checked = face.lockAspect;
+
+    // Real size on the panel; relative to the default decal until the model is loaded
+    const sizeMm = viewer.getDecalSizeMm(face.placement);
+    ui.decalWidthValue.textContent = sizeMm ? `${Math.round(sizeMm.width)} mm` : `${Math.round(width / DEFAULT_PLACEMENT.width * 100)}%`;
+    ui.decalHeightValue.textContent = sizeMm ? `${Math.round(sizeMm.height)} mm` : `${Math.round(height / DEFAULT_PLACEMENT.height * 100)}%`;
+    ui.decalRotationValue.textContent = `${Math.round(rotation)}°`;
+}
+
+function syncEngraveDepth() {
+    const depth = viewer.getEngravingDepth();
+    ui.engraveDepth.value = depth;
+    ui.engraveDepthValue.textContent = `${depth.toFixed(1)} mm`;
+}
+
 // Texture Generation
-let currentUploadedImage = null;
+// Each face draws into its own canvas, since the decal texture keeps a reference to it.
+const faceCanvases = {};
+
+function getFaceCanvas(faceId) {
+    if (!faceCanvases[faceId]) {
+        const canvas = document.createElement('canvas');
+        canvas.width = TEXTURE_SIZE;
+        canvas.height = TEXTURE_SIZE;
+        faceCanvases[faceId] = canvas;
+    }
+    return faceCanvases[faceId];
+}
 
-function triggerTextureUpdate(newImage = null) {
-    if (newImage) currentUploadedImage = newImage;
-    // If we call with NO arguments and currentUploadedImage is NULL (reset), then we just clear.
-    // If we call with NO arguments but currentUploadedImage exists (text update), we re-use.
-    // To explicitly clear image, we need to set it null before calling.
+function triggerTextureUpdate(faceId = state.activeFace) {
+    // A face without text or image gets no decal at all.
+    if (!isFaceCustomized(faceId)) {
+        viewer.removeDecal(faceId);
+        checkCutThroughIslands();
+        return;
+    }
 
-    const ctx = ui.textureCanvas.getContext('2d');
-    const width = ui.textureCanvas.width;
-    const height = ui.textureCanvas.height;
+    const { text, image, placement } = state.faces[faceId];
+    const canvas = getFaceCanvas(faceId);
+    const ctx = canvas.getContext('2d');
+    const width = canvas.width;
+    const height = canvas.height;
 
     // Clear
     // "Printed" implies we might want a background color if it covers the whole panel?
@@ -245,7 +699,6 @@ function triggerTextureUpdate(newImage = null) {
     // For now, let's just draw the text/image centralized.
 
     // Draw Text
-    const text = ui.customText.value;
     if (text) {
         ctx.fillStyle = '#FFFFFF'; // "Primary text color: #FFFFFF"
         ctx.font = 'bold 100px Anta'; // Big font for high res texture
@@ -256,27 +709,122 @@ function triggerTextureUpdate(newImage = null) {
     }
 
     // Draw Image
-    if (currentUploadedImage) {
+    if (image) {
         // Draw centered, verify max size (maintain aspect ratio)
         // Let's constrain to 50% of the panel width/height
         const maxDim = 512;
-        const scale = Math.min(maxDim / currentUploadedImage.width, maxDim / currentUploadedImage.height);
-        const w = currentUploadedImage.width * scale;
-        const h = currentUploadedImage.height * scale;
+        const scale = Math.min(maxDim / image.width, maxDim / image.height);
+        const w = image.width * scale;
+        const h = image.height * scale;
+
+        ctx.drawImage(image, (width - w) / 2, (height - h) / 2, w, h);
+    }
+
+    // Keep what the viewer applied: it clamps to the loaded model's manufacturable area
+    const applied = viewer.updateTexture(canvas, faceId, placement);
+    if (applied) state.faces[faceId].placement = applied;
+    checkCutThroughIslands();
+}
+
+// Cut-through: warn about enclosed parts of the panel that would fall out
+function checkCutThroughIslands() {
+    const warnings = state.mode !== 'cut-through' ? [] : getCustomizedFaces()
+        .map(face => ({ face, islands: findCutThroughIslands(getFaceCanvas(face.id)) }))
+        .filter(({ islands }) => islands > 0)
+        .map(({ face, islands }) => `${face.name}: ${islands} enclosed ${islands === 1 ? 'piece' : 'pieces'}`);
+
+    if (warnings.length > 0) {
+        ui.cutThroughWarning.textContent = `Some parts of your design would fall out when cut (like the inside of an "O"). ${warnings.join(', ')}. Consider a stencil font or bridges.`;
+        ui.cutThroughWarning.style.display = 'block';
+    } else {
+        ui.cutThroughWarning.style.display = 'none';
+    }
+}
 
-        ctx.drawImage(currentUploadedImage, (width - w) / 2, (height - h) / 2, w, h);
+// Image Export
+function downloadImage() {
+    const longEdge = parseInt(ui.exportResolution.value, 10);
+    const [aw, ah] = ui.exportAspect.value === 'viewport'
+        ? [ui.viewer.clientWidth, ui.viewer.clientHeight]
+        : ui.exportAspect.value.split(':').map(Number);
+    const width = aw >= ah ? longEdge : Math.round(longEdge * aw / ah);
+    const height = aw >= ah ? Math.round(longEdge * ah / aw) : longEdge;
+    const format = ui.exportFormat.value;
+
+    ui.exportImageBtn.disabled = true;
+    viewer.exportImage({
+        width,
+        height,
+        format,
+        transparent: ui.exportTransparent.checked,
+        watermark: ui.exportWatermark.checked
+    }).then(blob => {
+        downloadBlob(blob, `craterflame-${state.model}-${state.size}.${format === 'jpeg' ? 'jpg' : 'png'}`);
+    }).catch(error => {
+        console.error(error);
+        alert('Sorry, the image could not be exported.');
+    }).finally(() => {
+        ui.exportImageBtn.disabled = false;
+    });
+}
+
+// 3D Model Export (AR)
+async function downloadModel(format, button) {
+    button.disabled = true;
+    try {
+        const blob = await viewer.exportModel(format).catch(error => {
+            if (error.code !== 'cut-through') throw error;
+            if (!confirm('The cut-through openings can\'t be shown in the 3D model, the panel will look uncut. Download it anyway?')) return null;
+            return viewer.exportModel(format, { withoutCutouts: true });
+        });
+        if (blob) downloadBlob(blob, `craterflame-${state.model}-${state.size}.${format}`);
+    } catch (error) {
+        console.error(error);
+        alert('Sorry, the 3D model could not be exported.');
+    } finally {
+        button.disabled = false;
     }
+}
 
-    updateTexture(ui.textureCanvas);
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    // Give the browser a moment to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
 }
 
 // Cart
+// The RAL colour only applies to the powder-coat finish
+function getRalCode() {
+    return state.finish === 'powder' ? state.ralCode : null;
+}
+
 function addToCart() {
+    const faces = getCustomizedFaces().map(({ id, name }) => {
+        const sizeMm = viewer.getDecalSizeMm(state.faces[id].placement);
+        return {
+            id,
+            name,
+            text: state.faces[id].text,
+            hasImage: state.faces[id].image !== null,
+            placement: { ...state.faces[id].placement },
+            sizeMm: sizeMm && { width: Math.round(sizeMm.width), height: Math.round(sizeMm.height) }
+        };
+    });
+
     // Check if item with same config exists
     const existingItem = state.cart.find(item =>
         item.model === state.model &&
         item.size === state.size &&
-        item.text === ui.customText.value &&
+        item.sideTables === state.sideTables &&
+        JSON.stringify(item.materials) === JSON.stringify(state.materials) &&
+        item.finish === state.finish &&
+        item.ralCode === getRalCode() &&
+        item.mode === state.mode &&
+        JSON.stringify(item.faces) === JSON.stringify(faces) &&
         item.hasCustomization === (state.customizationFee > 0)
     );
 
@@ -286,9 +834,14 @@ function addToCart() {
         const item = {
             model: state.model,
             size: state.size,
-            price: state.basePrice + state.customizationFee,
+            sideTables: state.sideTables,
+            materials: { ...state.materials },
+            finish: state.finish,
+            ralCode: getRalCode(),
+            price: state.basePrice + state.sideTablesFee + state.materialsFee + state.customizationFee,
             hasCustomization: state.customizationFee > 0,
-            text: ui.customText.value,
+            mode: state.mode,
+            faces,
             // We can also store image name if needed, but we don't handle persisting image binary deep logic here yet
             qty: 1,
             id: Date.now()
@@ -317,8 +870,11 @@ function renderCart() {
             </div>
             <div class="cart-item-details">
                 Size: ${item.size.toUpperCase()}<br>
-                ${item.hasCustomization ? '<span style="color:var(--color-accent);">+ Customization</span><br>' : ''}
-                ${item.text ? `Text: "${item.text}"` : ''}
+                ${item.sideTables ? '+ Side Tables<br>' : ''}
+                Finish: ${FINISH_PRESETS[item.finish].name}${item.ralCode ? `, ${item.ralCode} ${findRalColor(item.ralCode).name}` : ''}<br>
+                ${Object.entries(item.materials).map(([groupId, optionId]) => `${PART_MATERIALS[groupId].name}: ${PART_MATERIALS[groupId].options[optionId].name}`).join('<br>')}<br>
+                ${item.hasCustomization ? `<span style="color:var(--color-accent);">+ Customization (${MODE_LABELS[item.mode]})</span><br>` : ''}
+                ${item.faces.map(f => `${f.name}: ${[f.text && `"${f.text}"`, f.hasImage && 'Image'].filter(Boolean).join(' + ')}${f.sizeMm ? ` (${f.sizeMm.width} × ${f.sizeMm.height} mm)` : ''}`).join('<br>')}
             </div>
             <div class="cart-item-controls">
                 <div class="qty-controls">
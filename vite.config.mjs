@@ -11,6 +11,10 @@ export default defineConfig({
          {
           src: 'models/*',
           dest: 'models'
+        },
+        {
+          src: 'textures/*',
+          dest: 'textures'
         }
       ]
     })